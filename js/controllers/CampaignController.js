@@ -0,0 +1,203 @@
+import { GameEvent } from '../enums.js';
+import { Level } from '../models/Level.js';
+import { CampaignProgress } from '../models/CampaignProgress.js';
+
+/**
+ * @param {number} stars - Stars earned, 0 to 3
+ * @returns {string} e.g. "★★☆"
+ */
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+/**
+ * @class CampaignController
+ * @description Runs the campaign: the level select screen, the bar naming
+ * the level being played, and scoring wins against par
+ */
+export class CampaignController {
+  /**
+   * @param {GameController} controller - Controller owning the live game
+   * @param {Function} [beforeStart] - Called before a level replaces the
+   * game, e.g. to close the replay
+   * @param {CampaignProgress} [progress] - Where results are kept
+   */
+  constructor(
+    controller,
+    beforeStart = () => {},
+    progress = new CampaignProgress()
+  ) {
+    this.controller = controller;
+    this.beforeStart = beforeStart;
+    this.progress = progress;
+    this.elements = {
+      modal: controller.getRef('campaignModal'),
+      list: controller.getRef('levelList'),
+      closeBtn: controller.getRef('campaignCloseBtn'),
+      resetBtn: controller.getRef('campaignResetBtn'),
+      overlay: controller.getRef('overlay'),
+      bar: controller.getRef('levelBar'),
+      label: controller.getRef('levelBarLabel'),
+      levelsBtn: controller.getRef('levelBarLevelsBtn'),
+      nextBtn: controller.getRef('levelBarNextBtn'),
+    };
+
+    this.bindEvents();
+    controller.onGameAttached((game) => this.watchGame(game));
+  }
+
+  /**
+   * @description Binds event listeners to the level select screen and bar
+   */
+  bindEvents() {
+    this.elements.closeBtn.addEventListener('click', () => this.close());
+    this.elements.resetBtn.addEventListener('click', () => {
+      if (confirm('Forget all stars and lock every level but the first?')) {
+        this.progress.reset();
+        this.renderLevels();
+        this.renderBar();
+      }
+    });
+    this.elements.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-level-id]');
+      if (button && !button.disabled) {
+        this.startLevel(Level.get(button.dataset.levelId));
+      }
+    });
+    this.elements.levelsBtn.addEventListener('click', () => this.open());
+    this.elements.nextBtn.addEventListener('click', () => {
+      this.startLevel(this.getCurrentLevel().getNext());
+    });
+  }
+
+  /**
+   * @returns {Level|null} Level on the board, or null outside the campaign
+   */
+  getCurrentLevel() {
+    const levelId = this.controller.game?.config.levelId;
+    return (levelId && Level.get(levelId)) ?? null;
+  }
+
+  /**
+   * @description Shows the level select screen
+   */
+  open() {
+    this.renderLevels();
+    this.elements.modal.classList.add('show');
+    this.elements.overlay.classList.add('show');
+  }
+
+  /**
+   * @description Hides the level select screen
+   */
+  close() {
+    this.elements.modal.classList.remove('show');
+    this.elements.overlay.classList.remove('show');
+  }
+
+  /**
+   * @param {Level} level - Unlocked level to play
+   */
+  startLevel(level) {
+    this.close();
+    this.beforeStart();
+    this.controller.cleanGarbage();
+    this.controller.startNewGame(level.createConfig());
+  }
+
+  /**
+   * @private
+   * @description Scores the game's win if it is a campaign level. Wins
+   * while the solution or a replay plays the board don't count.
+   * @param {Game} game - Game just put on the board
+   */
+  watchGame(game) {
+    this.renderBar();
+    game.on(GameEvent.GAME_WON, ({ tripCount }) => {
+      const level = this.getCurrentLevel();
+      if (!level || this.controller.view.isInputLocked) return;
+
+      const result = this.progress.recordWin(level, tripCount);
+      this.renderBar(result, tripCount);
+    });
+  }
+
+  /**
+   * @description Fills the level select screen with every level, its stars
+   * and par, locking those not reached yet
+   */
+  renderLevels() {
+    const current = this.getCurrentLevel();
+    this.elements.list.replaceChildren(
+      ...Level.getAll().map((level) => {
+        const record = this.progress.getRecord(level);
+        const unlocked = this.progress.isUnlocked(level);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'level-btn';
+        button.dataset.levelId = level.id;
+        button.disabled = !unlocked;
+        button.classList.toggle('current', level === current);
+
+        const title = document.createElement('span');
+        title.className = 'level-title';
+        title.textContent = `${level.getNumber()}. ${level.name}`;
+
+        const stars = document.createElement('span');
+        stars.className = 'level-stars';
+        stars.textContent = unlocked ? formatStars(record?.stars ?? 0) : '🔒';
+
+        const details = document.createElement('span');
+        details.className = 'level-details';
+        details.textContent = unlocked
+          ? `${level.description} · Par ${level.getPar()}${
+              record ? ` · Best ${record.bestTrips}` : ''
+            }`
+          : 'Win the previous level to unlock';
+
+        button.append(title, stars, details);
+        const item = document.createElement('li');
+        item.append(button);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * @description Names the level being played, or hides the bar outside
+   * the campaign. After a win it shows the stars earned instead.
+   * @param {LevelResult} [result] - Score of the win just recorded
+   * @param {number} [trips] - Trips the win took
+   */
+  renderBar(result = null, trips = 0) {
+    const level = this.getCurrentLevel();
+    this.elements.bar.classList.toggle('show', level !== null);
+    if (!level) return;
+
+    const next = level.getNext();
+    this.elements.nextBtn.hidden = !next || !this.progress.isUnlocked(next);
+
+    if (result) {
+      const tripText = `${trips} trip${trips === 1 ? '' : 's'}`;
+      const stars = formatStars(result.stars);
+      let text = `Level ${level.getNumber()} complete in ${tripText}: ${stars}`;
+      text += ` (par ${level.getPar()})`;
+      if (result.newBest) text += ' · New best!';
+      if (result.unlocked) {
+        text += ` · Level ${result.unlocked.getNumber()} unlocked`;
+      } else if (!next) {
+        text += ' · Campaign complete!';
+      }
+      this.elements.label.textContent = text;
+      return;
+    }
+
+    const record = this.progress.getRecord(level);
+    this.elements.label.textContent = `Level ${level.getNumber()}: ${
+      level.name
+    } · Par ${level.getPar()}${
+      record ? ` · Best ${formatStars(record.stars)}` : ''
+    }`;
+  }
+}
@@ -0,0 +1,222 @@
+import { DailyDifficulty, GameEvent } from '../enums.js';
+import { DailyChallenge } from '../models/DailyChallenge.js';
+import { DailyProgress } from '../models/DailyProgress.js';
+
+/**
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "02:05"
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = String(Math.floor(seconds / 60)).padStart(2, '0');
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {DailyResult} result - Recorded win
+ * @returns {string} e.g. "13 trips in 02:05, 1 hint"
+ */
+function describeResult({ trips, time, hintsUsed }) {
+  const tripText = `${trips} trip${trips === 1 ? '' : 's'}`;
+  const hintText =
+    hintsUsed === 0
+      ? 'no hints'
+      : `${hintsUsed} hint${hintsUsed === 1 ? '' : 's'}`;
+  return `${tripText} in ${formatDuration(time)}, ${hintText}`;
+}
+
+/**
+ * @class DailyController
+ * @description Runs the daily challenge: the screen listing today's puzzle
+ * at each difficulty, the bar naming the one being played, and recording
+ * the first win of each along with the streak
+ */
+export class DailyController {
+  /**
+   * @param {GameController} controller - Controller owning the live game
+   * @param {Function} [beforeStart] - Called before a challenge replaces the
+   * game, e.g. to close the replay
+   * @param {DailyProgress} [progress] - Where results are kept
+   */
+  constructor(
+    controller,
+    beforeStart = () => {},
+    progress = new DailyProgress()
+  ) {
+    this.controller = controller;
+    this.beforeStart = beforeStart;
+    this.progress = progress;
+    this.challenges = new Map(); // Generated challenges by id
+    this.elements = {
+      modal: controller.getRef('dailyModal'),
+      summary: controller.getRef('dailySummary'),
+      list: controller.getRef('dailyList'),
+      closeBtn: controller.getRef('dailyCloseBtn'),
+      overlay: controller.getRef('overlay'),
+      bar: controller.getRef('dailyBar'),
+      label: controller.getRef('dailyBarLabel'),
+      dailyBtn: controller.getRef('dailyBarDailyBtn'),
+    };
+
+    this.bindEvents();
+    controller.onGameAttached((game) => this.watchGame(game));
+  }
+
+  /**
+   * @description Binds event listeners to the daily screen and bar
+   */
+  bindEvents() {
+    this.elements.closeBtn.addEventListener('click', () => this.close());
+    this.elements.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-challenge-id]');
+      if (button) {
+        this.startChallenge(this.getChallenge(button.dataset.challengeId));
+      }
+    });
+    this.elements.dailyBtn.addEventListener('click', () => this.open());
+  }
+
+  /**
+   * @param {string} id - DailyChallenge id
+   * @returns {DailyChallenge|null} Challenge with this id, generated once
+   */
+  getChallenge(id) {
+    if (!this.challenges.has(id)) {
+      this.challenges.set(id, DailyChallenge.fromId(id));
+    }
+    return this.challenges.get(id);
+  }
+
+  /**
+   * @returns {DailyChallenge|null} Challenge on the board, or null
+   */
+  getCurrentChallenge() {
+    const dailyId = this.controller.game?.config.dailyId;
+    return dailyId ? this.getChallenge(dailyId) : null;
+  }
+
+  /**
+   * @description Shows today's challenges
+   */
+  open() {
+    this.renderChallenges();
+    this.elements.modal.classList.add('show');
+    this.elements.overlay.classList.add('show');
+  }
+
+  /**
+   * @description Hides the daily screen
+   */
+  close() {
+    this.elements.modal.classList.remove('show');
+    this.elements.overlay.classList.remove('show');
+  }
+
+  /**
+   * @param {DailyChallenge} challenge - Challenge to play
+   */
+  startChallenge(challenge) {
+    this.close();
+    this.beforeStart();
+    this.controller.cleanGarbage();
+    this.controller.startNewGame(challenge.createConfig());
+  }
+
+  /**
+   * @private
+   * @description Records the first win of a daily challenge, timed by the
+   * game's clock. Only games played from the first move in this session
+   * count, as started from the daily screen or restarted: a game resumed
+   * from a save or imported comes with moves and a clock nothing here saw.
+   * Wins while the solution or a replay plays the board don't count either.
+   * @param {Game} game - Game just put on the board
+   */
+  watchGame(game) {
+    this.renderBar();
+    const isFresh =
+      game.history.getUndoStack().length === 0 && game.getElapsedTime() === 0;
+    game.on(GameEvent.GAME_WON, ({ tripCount, hintsUsed }) => {
+      const challenge = this.getCurrentChallenge();
+      if (!challenge || !isFresh || this.controller.view.isInputLocked) {
+        return;
+      }
+
+      const score = {
+        trips: tripCount,
+        time: game.getElapsedTime(),
+        hintsUsed,
+      };
+      this.renderBar(this.progress.recordWin(challenge, score));
+    });
+  }
+
+  /**
+   * @description Fills the daily screen with today's challenge at each
+   * difficulty, its par and any result
+   */
+  renderChallenges() {
+    const today = DailyChallenge.getDateKey();
+    const streak = this.progress.getStreak(today);
+    this.elements.summary.textContent = `${today} · Streak: ${streak} day${
+      streak === 1 ? '' : 's'
+    }${streak > 0 ? ' 🔥' : ''}`;
+
+    const current = this.getCurrentChallenge();
+    this.elements.list.replaceChildren(
+      ...Object.values(DailyDifficulty).map((difficulty) => {
+        const challenge = this.getChallenge(`${today}/${difficulty}`);
+        const result = this.progress.getResult(challenge);
+        const { min, max } = DailyChallenge.getBand(difficulty);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'level-btn';
+        button.dataset.challengeId = challenge.id;
+        button.classList.toggle('current', challenge === current);
+
+        const title = document.createElement('span');
+        title.className = 'level-title';
+        title.textContent = difficulty[0].toUpperCase() + difficulty.slice(1);
+
+        const status = document.createElement('span');
+        status.className = 'level-stars';
+        status.textContent = result ? '✅' : '';
+
+        const details = document.createElement('span');
+        details.className = 'level-details';
+        details.textContent = `${min}–${max} trips · Par ${challenge.getPar()}${
+          result ? ` · Solved: ${describeResult(result)}` : ''
+        }`;
+
+        button.append(title, status, details);
+        const item = document.createElement('li');
+        item.append(button);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * @description Names the challenge being played, or hides the bar for
+   * any other game. After a win it shows the recorded result.
+   * @param {boolean} [justRecorded] - A win was just recorded
+   */
+  renderBar(justRecorded = false) {
+    const challenge = this.getCurrentChallenge();
+    this.elements.bar.classList.toggle('show', challenge !== null);
+    if (!challenge) return;
+
+    const result = this.progress.getResult(challenge);
+    let text = `Daily ${challenge.date} · ${
+      challenge.difficulty
+    } · Par ${challenge.getPar()}`;
+    if (result) {
+      const verb = justRecorded ? 'Solved' : 'First solved';
+      text += ` · ${verb}: ${describeResult(result)}`;
+    }
+    if (justRecorded) {
+      text += ` · Streak: ${this.progress.getStreak()}`;
+    }
+    this.elements.label.textContent = text;
+  }
+}
@@ -0,0 +1,178 @@
+import { GameEvent } from '../enums.js';
+import { AssistSettings } from '../models/AssistSettings.js';
+import { Game } from '../models/Game.js';
+import { GameConfig } from '../models/GameConfig.js';
+import { GameStorage } from '../models/GameStorage.js';
+import { Transcript } from '../models/Transcript.js';
+import { ViewController } from '../views/ViewController.js';
+
+/**
+ * @class GameController
+ * @description Orchestrates game initialization and UI updates
+ */
+export class GameController {
+  /**
+   * @param {HTMLElement} root - Element holding the board this controller
+   * drives. Its id keeps the board's saves apart from other boards'.
+   * @param {GameStorage|null} storage - Where to save the game (null: don't)
+   * @param {AssistSettings|null} assist - Help the player wants (null: none)
+   */
+  constructor(
+    root,
+    storage = new GameStorage(`monks-n-monsters:${root.id}:saved-game`),
+    assist = new AssistSettings(`monks-n-monsters:${root.id}:assist`)
+  ) {
+    this.root = root;
+    this.game = null;
+    this.view = null;
+    this.storage = storage;
+    this.assist = assist;
+    this.attachListeners = [];
+  }
+
+  /**
+   * @param {string} name - Value of the element's data-ref attribute
+   * @returns {HTMLElement|null} Matching element inside this board
+   */
+  getRef(name) {
+    return this.root.querySelector(`[data-ref="${name}"]`);
+  }
+  // TODO Description
+  destroy() {
+    this.game = null;
+    this.view = null;
+  }
+
+  /**
+   * @param {GameConfig} [config] - Game setup (default: 3 monsters, 3 humans)
+   */
+  startNewGame(config = new GameConfig()) {
+    // Create new game instance
+    this.game = new Game(config);
+    this.game.initialize();
+
+    this.attachView();
+    this.storage?.save(this.game);
+
+    console.log(this);
+    console.log('view uuid');
+    console.log(this.view.uuid);
+    console.log('game uuid');
+    console.log(this.game.uuid);
+  }
+
+  /**
+   * @description Restores a saved game and finishes any voyage in progress
+   * @param {Object} data - Serialized game from GameStorage
+   */
+  resumeGame(data) {
+    this.game = Game.fromJSON(data);
+    this.attachView();
+
+    // Lets the view animate the rest of the voyage, then land it
+    this.game.resumeVoyage();
+  }
+
+  /**
+   * @private
+   * @description Creates the view for the current game and saves the game
+   * whenever its state changes
+   */
+  attachView() {
+    // Create view
+    this.view = new ViewController(this.game, this.root, this.assist);
+    // Initialize UI
+    this.view.initialize();
+
+    const game = this.game;
+    game.on(GameEvent.STATE_CHANGED, () => this.storage?.save(game));
+    this.attachListeners.forEach((listener) => listener(game));
+  }
+
+  /**
+   * @description Calls back with each game this controller puts on the
+   * board, whether new, restarted, resumed or imported
+   * @param {Function} listener - Called with the Game
+   */
+  onGameAttached(listener) {
+    this.attachListeners.push(listener);
+  }
+
+  /**
+   * @description Restarts game with current configuration
+   */
+  restartGame() {
+    if (this.game) {
+      const { config } = this.game;
+      this.cleanGarbage();
+      this.startNewGame(config);
+    }
+  }
+
+  /**
+   * @description Undoes the last move unless an animation is playing
+   */
+  undo() {
+    if (this.game && this.view.canInteract()) {
+      this.game.undo();
+    }
+  }
+
+  /**
+   * @description Redoes the last undone move unless an animation is playing
+   */
+  redo() {
+    if (this.game && this.view.canInteract()) {
+      this.game.redo();
+    }
+  }
+
+  /**
+   * @returns {string} Transcript of the moves on the board
+   */
+  exportTranscript() {
+    return Transcript.fromGame(this.game).toString();
+  }
+
+  /**
+   * @description Replays a transcript on a scratch game and swaps it in. If a
+   * move is illegal, the current game is left untouched.
+   * @param {string} text - Transcript in MNM notation
+   * @throws {TranscriptError} If the transcript can't be read or replayed
+   */
+  importTranscript(text) {
+    const transcript = Transcript.parse(text);
+
+    // Replay headless so a failed import never touches the board
+    const game = new Game(transcript.config);
+    game.initialize();
+    try {
+      transcript.replay(game);
+    } catch (error) {
+      game.destroy();
+      throw error;
+    }
+
+    this.cleanGarbage();
+    this.game = game;
+    this.attachView();
+    this.game.emitOutcome();
+    this.storage?.save(this.game);
+  }
+
+  /**
+   * @description Shows a hint unless an animation is playing
+   */
+  hint() {
+    if (this.game && this.view.canInteract()) {
+      this.game.handleHintClick();
+    }
+  }
+
+  // TODO: description
+  cleanGarbage() {
+    this.game.destroy();
+    this.view.destroy();
+    this.destroy();
+  }
+}
@@ -0,0 +1,237 @@
+import { GameEvent, GameStatus } from '../enums.js';
+import { GameHistory } from '../models/GameHistory.js';
+
+/**
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. "02:05", or "–" for none
+ */
+function formatDuration(ms) {
+  if (ms === null) return '–';
+  const seconds = Math.floor(ms / 1000);
+  const minutes = String(Math.floor(seconds / 60)).padStart(2, '0');
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string|number|null} a - Value of one entry
+ * @param {string|number|null} b - Value of the other
+ * @returns {number} Sort order, with missing values last
+ */
+function compareValues(a, b) {
+  if (a === null || b === null) {
+    return (a === null) - (b === null);
+  }
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+/**
+ * @param {Array<string>} cells - Text of each cell
+ * @returns {HTMLTableRowElement} Table row holding them
+ */
+function createRow(cells) {
+  const row = document.createElement('tr');
+  cells.forEach((text) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.append(cell);
+  });
+  return row;
+}
+
+/**
+ * @class HistoryController
+ * @description Records every game the player finishes and shows the
+ * dashboard: best results per setup and a sortable table of past games,
+ * with JSON and CSV export
+ */
+export class HistoryController {
+  /**
+   * @param {GameController} controller - Controller owning the live game
+   * @param {GameHistory} [history] - Where finished games are kept
+   */
+  constructor(controller, history = new GameHistory()) {
+    this.controller = controller;
+    this.history = history;
+    this.sortKey = 'finishedAt';
+    this.sortDescending = true;
+    this.elements = {
+      modal: controller.getRef('historyModal'),
+      overlay: controller.getRef('overlay'),
+      empty: controller.getRef('historyEmpty'),
+      summaryRows: controller.getRef('historySummaryRows'),
+      table: controller.getRef('historyTable'),
+      rows: controller.getRef('historyRows'),
+      exportJsonBtn: controller.getRef('historyExportJsonBtn'),
+      exportCsvBtn: controller.getRef('historyExportCsvBtn'),
+      clearBtn: controller.getRef('historyClearBtn'),
+      closeBtn: controller.getRef('historyCloseBtn'),
+    };
+
+    this.bindEvents();
+    controller.onGameAttached((game) => this.watchGame(game));
+  }
+
+  /**
+   * @description Binds event listeners to the dashboard
+   */
+  bindEvents() {
+    this.elements.closeBtn.addEventListener('click', () => this.close());
+    this.elements.clearBtn.addEventListener('click', () => {
+      if (confirm('Forget every finished game?')) {
+        this.history.clear();
+        this.render();
+      }
+    });
+    this.elements.exportJsonBtn.addEventListener('click', () => {
+      this.download(
+        'monks-n-monsters-history.json',
+        'application/json',
+        this.history.toJSONText()
+      );
+    });
+    this.elements.exportCsvBtn.addEventListener('click', () => {
+      this.download(
+        'monks-n-monsters-history.csv',
+        'text/csv',
+        this.history.toCSV()
+      );
+    });
+    this.elements.table
+      .querySelector('thead')
+      .addEventListener('click', (e) => {
+        const header = e.target.closest('[data-sort]');
+        if (header) this.sortBy(header.dataset.sort);
+      });
+  }
+
+  /**
+   * @private
+   * @description Records the game when it ends. Only games the player made
+   * moves in count, so imported transcripts and watched solutions don't.
+   * @param {Game} game - Game just put on the board
+   */
+  watchGame(game) {
+    const record = ({ reason }) => {
+      if (this.controller.view.isInputLocked || game.getElapsedTime() === 0) {
+        return;
+      }
+      this.history.record(GameHistory.createEntry(game, reason));
+    };
+    game.on(GameEvent.GAME_WON, record);
+    game.on(GameEvent.GAME_LOST, record);
+  }
+
+  /**
+   * @description Shows the dashboard
+   */
+  open() {
+    this.render();
+    this.elements.modal.classList.add('show');
+    this.elements.overlay.classList.add('show');
+  }
+
+  /**
+   * @description Hides the dashboard
+   */
+  close() {
+    this.elements.modal.classList.remove('show');
+    this.elements.overlay.classList.remove('show');
+  }
+
+  /**
+   * @param {string} key - HistoryEntry field to sort the table by. Sorting
+   * by the same field again flips the order.
+   */
+  sortBy(key) {
+    this.sortDescending = key === this.sortKey ? !this.sortDescending : false;
+    this.sortKey = key;
+    this.renderEntries();
+  }
+
+  /**
+   * @description Fills both tables
+   */
+  render() {
+    this.elements.empty.hidden = this.history.entries.length > 0;
+    this.renderSummaries();
+    this.renderEntries();
+  }
+
+  /**
+   * @description Fills the per-setup table: win rate, bests, and average
+   * trips of the wins against the optimal count
+   */
+  renderSummaries() {
+    this.elements.summaryRows.replaceChildren(
+      ...this.history
+        .getSummaries()
+        .map((summary) =>
+          createRow([
+            summary.setup,
+            String(summary.games),
+            `${Math.round((summary.wins / summary.games) * 100)}%`,
+            summary.bestTrips === null ? '–' : String(summary.bestTrips),
+            formatDuration(summary.bestTime),
+            summary.averageTrips === null
+              ? '–'
+              : `${summary.averageTrips.toFixed(1)} / ${
+                  summary.optimalTrips ?? '–'
+                }`,
+          ])
+        )
+    );
+  }
+
+  /**
+   * @description Fills the table of past games in the chosen order
+   */
+  renderEntries() {
+    const { sortKey, sortDescending } = this;
+    const entries = [...this.history.entries].sort((a, b) => {
+      const order = compareValues(a[sortKey] ?? null, b[sortKey] ?? null);
+      return sortDescending ? -order : order;
+    });
+
+    this.elements.table.querySelectorAll('[data-sort]').forEach((header) => {
+      header.classList.toggle('sorted', header.dataset.sort === sortKey);
+      header.classList.toggle('descending', sortDescending);
+    });
+    this.elements.rows.replaceChildren(
+      ...entries.map((entry) => {
+        const row = createRow([
+          new Date(entry.finishedAt).toLocaleString(),
+          entry.setup,
+          `${entry.outcome === GameStatus.WON ? '🏆 Won' : '💀 Lost'}${
+            entry.verified === false ? ' ⚠️' : ''
+          }`,
+          String(entry.trips),
+          entry.optimalTrips === null ? '–' : String(entry.optimalTrips),
+          formatDuration(entry.time),
+          String(entry.hintsUsed),
+        ]);
+        row.title = entry.reason;
+        // Entries saved before results were verified carry no flag
+        if (entry.verified === false) {
+          row.classList.add('unverified');
+          row.title += " (unverified: the moves don't back this result)";
+        }
+        return row;
+      })
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} filename - Name to save as
+   * @param {string} type - MIME type
+   * @param {string} text - File contents
+   */
+  download(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,160 @@
+import { GameEvent, GameStatus } from '../enums.js';
+import { Transcript } from '../models/Transcript.js';
+
+/**
+ * @class ReplayViewer
+ * @description Steps back and forth through a finished game's move history
+ * on the live board. Leaves the board as it ended when closed.
+ */
+export class ReplayViewer {
+  /**
+   * @param {GameController} controller - Controller owning the live game
+   */
+  constructor(controller) {
+    this.controller = controller;
+    this.elements = {
+      bar: controller.getRef('replayBar'),
+      slider: controller.getRef('replaySlider'),
+      marker: controller.getRef('replayMarker'),
+      prevBtn: controller.getRef('replayPrevBtn'),
+      nextBtn: controller.getRef('replayNextBtn'),
+      label: controller.getRef('replayLabel'),
+      exitBtn: controller.getRef('replayExitBtn'),
+    };
+    this.isActive = false;
+    this.commands = [];
+    this.position = 0;
+    this.finalStatus = null;
+    this.lossPosition = null; // Position right after the losing voyage
+    this.lossPositions = new WeakMap(); // Game -> its losing voyage's position
+
+    this.bindEvents();
+    controller.onGameAttached((game) => this.watchGame(game));
+  }
+
+  /**
+   * @description Binds event listeners to the replay bar
+   */
+  bindEvents() {
+    this.elements.slider.addEventListener('input', () => {
+      this.goTo(parseInt(this.elements.slider.value));
+    });
+    this.elements.prevBtn.addEventListener('click', () => {
+      this.goTo(this.position - 1);
+    });
+    this.elements.nextBtn.addEventListener('click', () => {
+      this.goTo(this.position + 1);
+    });
+    this.elements.exitBtn.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * @private
+   * @description Remembers where the game was lost to a feast. Time and
+   * countdown losses break no balance, and may come after any move, so they
+   * leave no position to mark.
+   * @param {Game} game - Game just put on the board
+   */
+  watchGame(game) {
+    game.on(GameEvent.GAME_LOST, ({ predators }) => {
+      if (this.isActive) return;
+      if (predators.length > 0) {
+        this.lossPositions.set(game, game.history.getUndoStack().length);
+      } else {
+        this.lossPositions.delete(game);
+      }
+    });
+  }
+
+  /**
+   * @description Opens the replay bar at the final position of a finished game
+   */
+  open() {
+    const { game, view } = this.controller;
+    if (this.isActive || game.status === GameStatus.ONGOING) return;
+
+    this.isActive = true;
+    this.commands = game.history.getUndoStack();
+    this.position = this.commands.length;
+    this.finalStatus = game.status;
+    this.lossPosition =
+      game.status === GameStatus.LOST
+        ? this.lossPositions.get(game) ?? null
+        : null;
+
+    view.isInputLocked = true;
+    this.elements.slider.max = this.commands.length;
+    this.elements.marker.hidden = this.lossPosition === null;
+    if (this.lossPosition !== null) {
+      const ratio = this.lossPosition / Math.max(1, this.commands.length);
+      this.elements.marker.style.left = `${ratio * 100}%`;
+    }
+    this.elements.bar.classList.add('show');
+    this.goTo(this.position);
+  }
+
+  /**
+   * @description Returns the board to its final position and hides the bar
+   */
+  close() {
+    if (!this.isActive) return;
+
+    this.goTo(this.commands.length);
+    this.isActive = false;
+
+    const { game, view } = this.controller;
+    if (game) {
+      game.status = this.finalStatus;
+      view.isInputLocked = false;
+      view.render();
+    }
+    this.elements.bar.classList.remove('show');
+  }
+
+  /**
+   * @param {number} position - Number of moves to show as played
+   */
+  goTo(position) {
+    if (!this.isActive) return;
+
+    const { game, view } = this.controller;
+    if (!game) return;
+
+    const target = Math.max(0, Math.min(position, this.commands.length));
+    while (this.position > target) {
+      game.history.undo();
+      this.position--;
+    }
+    while (this.position < target) {
+      game.history.redo();
+      this.position++;
+    }
+
+    view.render();
+    if (this.position === this.lossPosition) {
+      view.highlightDock(game.evaluateStatus().dock);
+    }
+    this.updateControls();
+  }
+
+  /**
+   * @private
+   * @description Syncs the slider, buttons and step label with the position
+   */
+  updateControls() {
+    const total = this.commands.length;
+    this.elements.slider.value = this.position;
+    this.elements.prevBtn.disabled = this.position === 0;
+    this.elements.nextBtn.disabled = this.position === total;
+
+    if (this.position === 0) {
+      this.elements.label.textContent = `Start (0/${total})`;
+      return;
+    }
+    const move = Transcript.commandToMove(this.commands[this.position - 1]);
+    const note = this.position === this.lossPosition ? ' 💀 unbalanced' : '';
+    this.elements.label.textContent = `Step ${
+      this.position
+    }/${total}: ${Transcript.formatMove(move)}${note}`;
+  }
+}
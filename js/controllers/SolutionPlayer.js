@@ -0,0 +1,164 @@
+import { BoatStatus, GameEvent } from '../enums.js';
+import { AnimationTimeline } from '../views/AnimationTimeline.js';
+
+/**
+ * @class SolutionPlayer
+ * @description Plays the optimal solution on the live board, one click at a
+ * time, through the same handlers the player uses. Clicks keep pace with the
+ * animation speed shared by every timeline.
+ */
+export class SolutionPlayer {
+  /**
+   * @param {GameController} controller - Controller owning the live game
+   */
+  constructor(controller) {
+    this.controller = controller;
+    this.elements = {
+      bar: controller.getRef('autoplayBar'),
+      playBtn: controller.getRef('autoplayPlayBtn'),
+      pauseBtn: controller.getRef('autoplayPauseBtn'),
+      stepBtn: controller.getRef('autoplayStepBtn'),
+      exitBtn: controller.getRef('autoplayExitBtn'),
+    };
+    this.stepDelay = 800; // Pause between clicks at 1x speed
+    this.isActive = false;
+    this.isPlaying = false;
+    this.timeoutId = null;
+
+    this.bindEvents();
+    controller.onGameAttached((game) => {
+      game.on(GameEvent.VOYAGE_ENDED, () => this.updateControls());
+    });
+  }
+
+  /**
+   * @description Binds event listeners to the auto-play bar
+   */
+  bindEvents() {
+    this.elements.playBtn.addEventListener('click', () => this.play());
+    this.elements.pauseBtn.addEventListener('click', () => this.pause());
+    this.elements.stepBtn.addEventListener('click', () => this.step());
+    this.elements.exitBtn.addEventListener('click', () => this.stop());
+  }
+
+  /**
+   * @description Restarts the current configuration and opens the controls
+   */
+  start() {
+    this.stop();
+    this.controller.restartGame();
+
+    const { game, view } = this.controller;
+    if (!game.solver.solve().solvable) {
+      view.showMessage("This setup can't be won. Nothing to watch!", 'info');
+      return;
+    }
+
+    this.isActive = true;
+    view.isInputLocked = true;
+    view.renderDangerPreview();
+    this.elements.bar.classList.add('show');
+    this.updateControls();
+  }
+
+  /**
+   * @description Hides the controls and hands the board back to the player
+   */
+  stop() {
+    this.pause();
+    if (!this.isActive) return;
+
+    this.isActive = false;
+    const { view } = this.controller;
+    if (view) {
+      view.isInputLocked = false;
+      view.renderDangerPreview();
+    }
+    this.elements.bar.classList.remove('show');
+  }
+
+  /**
+   * @description Clicks through the solution until paused or finished
+   */
+  play() {
+    if (!this.isActive || this.isPlaying) return;
+    this.isPlaying = true;
+    this.updateControls();
+    this.scheduleNextMove();
+  }
+
+  /**
+   * @description Stops after the current click or voyage
+   */
+  pause() {
+    this.isPlaying = false;
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.updateControls();
+  }
+
+  /**
+   * @description Makes a single click while paused
+   */
+  step() {
+    if (!this.isActive || this.isPlaying) return;
+    if (this.controller.view.isAnimating) return;
+    this.performNextMove();
+    this.updateControls();
+  }
+
+  /**
+   * @private
+   * @description Waits out the step delay and any running animation, then
+   * clicks again until the game ends
+   */
+  scheduleNextMove() {
+    this.timeoutId = setTimeout(() => {
+      if (!this.isPlaying) return;
+
+      if (this.controller.view.isAnimating) {
+        this.scheduleNextMove();
+        return;
+      }
+      if (this.performNextMove()) {
+        this.scheduleNextMove();
+      } else {
+        this.pause();
+      }
+    }, this.stepDelay / AnimationTimeline.getSpeed());
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True if a click was made, false once the game is over
+   */
+  performNextMove() {
+    const { game } = this.controller;
+    const move = game.getNextMove();
+    if (!move) return false;
+
+    if (move.action === 'row') {
+      game.handleBoatClick(move.to);
+    } else if (move.action === 'select') {
+      game.selectBoat(move.boat);
+    } else {
+      game.handleAvatarClick(move.avatars[0]);
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @description Enables the buttons that make sense right now. While the
+   * boat is on the river there is no next move yet, so nothing is over
+   * until it lands.
+   */
+  updateControls() {
+    const { game } = this.controller;
+    const isSailing = game?.boat.status === BoatStatus.SAILING;
+    const isOver = this.isActive && !isSailing && !game.getNextMove();
+    this.elements.playBtn.disabled = this.isPlaying || isOver;
+    this.elements.pauseBtn.disabled = !this.isPlaying;
+    this.elements.stepBtn.disabled = this.isPlaying || isSailing || isOver;
+  }
+}
@@ -26,7 +26,8 @@ export const MountStatus = Object.freeze({
 /**
  * @readonly
  * @enum {string}
- * @description Avatar type enumeration
+ * @description Species ids of the monsters & humans puzzle. Other puzzles
+ * bring their own, see Puzzle.
  */
 export const AvatarType = Object.freeze({
   HUMAN: 'human',
@@ -53,3 +54,141 @@ export const BoatStatus = Object.freeze({
   DOCKED: 'docked',
   SAILING: 'sailing',
 });
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Move types recorded in transcripts
+ */
+export const MoveType = Object.freeze({
+  BOARD: 'board',
+  UNBOARD: 'unboard',
+  VOYAGE: 'voyage',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Events emitted by Game
+ */
+export const GameEvent = Object.freeze({
+  AVATAR_BOARDED: 'avatarBoarded',
+  AVATAR_UNBOARDED: 'avatarUnboarded',
+  VOYAGE_STARTED: 'voyageStarted',
+  VOYAGE_ENDED: 'voyageEnded',
+  GAME_WON: 'gameWon',
+  GAME_LOST: 'gameLost',
+  MOVE_REJECTED: 'moveRejected',
+  MOVE_UNDONE: 'moveUndone',
+  MOVE_REDONE: 'moveRedone',
+  HINT_SHOWN: 'hintShown',
+  HINT_UNAVAILABLE: 'hintUnavailable',
+  BOAT_SELECTED: 'boatSelected',
+  DOCK_FULL: 'dockFull',
+  CLOCK_STARTED: 'clockStarted',
+  CLOCK_STOPPED: 'clockStopped',
+  STATE_CHANGED: 'stateChanged',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Built-in rule sets, see RuleSet
+ */
+export const RuleSetId = Object.freeze({
+  CLASSIC: 'classic',
+  STRICT: 'strict',
+  DOCKS_ONLY: 'docksOnly',
+  NEVER_OUTNUMBERED: 'neverOutnumbered',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Who may row the boat, see RowingRule
+ */
+export const RowerType = Object.freeze({
+  ANYONE: 'anyone',
+  HUMANS: 'humans',
+  NAMED: 'named',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description What a boat's capacity limits
+ */
+export const CapacityMode = Object.freeze({
+  HEAD_COUNT: 'headCount', // Number of passengers
+  WEIGHT: 'weight', // Sum of the passengers' weights
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description When a predator eats its prey, see Species
+ */
+export const Predation = Object.freeze({
+  OUTNUMBERED: 'outnumbered', // Predators outnumber prey
+  UNSUPERVISED: 'unsupervised', // Predator and prey are together at all
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Feast animation frames. Sprites are images/<sprite>-<mood>.gif
+ */
+export const Mood = Object.freeze({
+  IDLE: 'idle',
+  HAPPY: 'happy',
+  FEAST: 'feast',
+  SATISFIED: 'satisfied',
+  HORRIFIED: 'horrified',
+  DECEASED: 'deceased',
+  SKULL: 'skull',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Built-in puzzles, see Puzzle
+ */
+export const PuzzleId = Object.freeze({
+  MONSTERS_AND_HUMANS: 'monstersAndHumans',
+  WOLF_GOAT_CABBAGE: 'wolfGoatCabbage',
+  JEALOUS_HUSBANDS: 'jealousHusbands',
+  BRIDGE_AND_TORCH: 'bridgeAndTorch',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Daily challenge difficulties, see DailyChallenge
+ */
+export const DailyDifficulty = Object.freeze({
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard',
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ * @description Campaign levels, see Level
+ */
+export const LevelId = Object.freeze({
+  FIRST_CROSSING: 'firstCrossing',
+  TWO_BY_TWO: 'twoByTwo',
+  THE_CLASSIC: 'theClassic',
+  FARMERS_ERRAND: 'farmersErrand',
+  BIGGER_BOAT: 'biggerBoat',
+  SAFE_ABOARD: 'safeAboard',
+  STRICT_WATERS: 'strictWaters',
+  CHOSEN_ROWERS: 'chosenRowers',
+  HEAVY_LOAD: 'heavyLoad',
+  JEALOUS_HUSBANDS: 'jealousHusbands',
+  TWIN_BOATS: 'twinBoats',
+  ISLAND_HOP: 'islandHop',
+  CROWDED_ISLAND: 'crowdedIsland',
+  JEALOUS_ISLAND: 'jealousIsland',
+});
@@ -1,960 +1,518 @@
-import {
-  Location,
-  MountStatus,
-  AvatarType,
-  GameStatus,
-  BoatStatus,
-} from './enums.js';
+import { GameStatus, RowerType, AvatarType } from './enums.js';
+import { Solver } from './models/Solver.js';
+import { RuleSet } from './models/RuleSet.js';
+import { RowingRule } from './models/RowingRule.js';
+import { Puzzle } from './models/Puzzle.js';
+import { CONFIG_LIMITS, GameConfig } from './models/GameConfig.js';
+import { TranscriptError } from './models/Transcript.js';
+import { GameController } from './controllers/GameController.js';
+import { SolutionPlayer } from './controllers/SolutionPlayer.js';
+import { ReplayViewer } from './controllers/ReplayViewer.js';
+import { CampaignController } from './controllers/CampaignController.js';
+import { DailyController } from './controllers/DailyController.js';
+import { HistoryController } from './controllers/HistoryController.js';
+import { AnimationTimeline } from './views/AnimationTimeline.js';
 
 /* ===========================
-MODEL LAYER - CLASSES
+MAIN INITIALIZATION
 =========================== */
 
-import { MountObj } from './models/MountObj.js';
+// Controller for the board on this page
+let gameController = new GameController(document.getElementById('main-board'));
+
+// Configuration modal handling
+const configBtn = document.getElementById('config-btn');
+const configModal = document.getElementById('config-modal');
+const configForm = document.getElementById('config-form');
+const cancelBtn = document.getElementById('cancel-btn');
+const overlay = gameController.getRef('overlay');
+const solverStatus = document.getElementById('solver-status');
+const ruleSetSelect = document.getElementById('rule-set');
+const ruleSetDescription = document.getElementById('rule-set-description');
+const rowerTypeSelect = document.getElementById('rower-type');
+const rowerIdsInput = document.getElementById('rower-ids');
+const puzzleSelect = document.getElementById('puzzle');
+const puzzleDescription = document.getElementById('puzzle-description');
+const capacityModeSelect = document.getElementById('capacity-mode');
+const timingSelect = document.getElementById('timing');
+const timeBudgetInput = document.getElementById('time-budget');
+const clockModeSelect = document.getElementById('clock-mode');
+const clockLimitInput = document.getElementById('clock-limit');
+const islandsInput = document.getElementById('islands');
+const moreBoatsInput = document.getElementById('more-boats');
+const dockCapacitiesInput = document.getElementById('dock-capacities');
+
+const SOLVER_STATUS_DELAY = 300; // Milliseconds typing must pause for
+const MAX_LIVE_CROSSINGS = 30000; // Keeps a live check to about a second
+let solverStatusTimeout = null;
+
+// One option per registered puzzle and rule set
+Puzzle.getAll().forEach((puzzle) => {
+  puzzleSelect.add(new Option(puzzle.name, puzzle.id));
+});
+RuleSet.getAll().forEach((ruleSet) => {
+  ruleSetSelect.add(new Option(ruleSet.name, ruleSet.id));
+});
 
 /**
- * @class Dock
- * @extends MountObj
- * @description Represents a dock at origin or destination
+ * @param {number} value - Number read from a field
+ * @param {number} min - Smallest value allowed
+ * @param {number} max - Largest value allowed
+ * @returns {boolean} True if value is a whole number from min to max
  */
-class Dock extends MountObj {
-  /**
-   * @param {string} location - Location.ORIGIN or Location.DESTINATION (immutable)
-   * @param {number} maxCapacity - Maximum number of avatars dock can hold
-   */
-  constructor(location, maxCapacity) {
-    super(0, maxCapacity);
-    this._location = location;
-  }
-
-  /**
-   * @returns {string} Dock location
-   */
-  get location() {
-    return this._location;
-  }
+function isInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
 }
 
 /**
- * @class Boat
- * @extends MountObj
- * @description Represents the boat that transports avatars
+ * @param {Puzzle} puzzle - Puzzle selected in the modal
+ * @returns {Object<string, number>} Avatars per species id, entered in the
+ * modal if the puzzle lets the player choose
  */
-class Boat extends MountObj {
-  /**
-   * @param {number} maxCapacity - Maximum boat capacity
-   * @param {number} minCapacity - Minimum capacity to sail (default: 1)
-   */
-  constructor(maxCapacity, minCapacity = 1) {
-    super(minCapacity, maxCapacity);
-    this._location = Location.ORIGIN;
-    this._status = BoatStatus.DOCKED;
-  }
-
-  /**
-   * @returns {string} Current boat location
-   */
-  get location() {
-    return this._location;
-  }
-
-  /**
-   * @returns {string} Current boat status
-   */
-  get status() {
-    return this._status;
-  }
-
-  /**
-   * @param {string} location - New location
-   */
-  setLocation(location) {
-    this._location = location;
-  }
-
-  /**
-   * @param {string} status - New status
-   */
-  setStatus(status) {
-    this._status = status;
-  }
-
-  /**
-   * @returns {string} Destination location (opposite of current)
-   */
-  getDestinationLocation() {
-    if (this._location === Location.ORIGIN) {
-      return Location.DESTINATION;
-    } else if (this._location === Location.DESTINATION) {
-      return Location.ORIGIN;
-    }
-    return Location.ORIGIN;
-  }
+function readCounts(puzzle) {
+  if (!puzzle.countsEditable) {
+    return puzzle.counts;
+  }
+  return {
+    [AvatarType.MONSTER]: parseInt(
+      document.getElementById('num-monsters').value
+    ),
+    [AvatarType.HUMAN]: parseInt(document.getElementById('num-humans').value),
+  };
+}
 
-  /**
-   * @returns {boolean} True if boat has minimum passengers to sail
-   */
-  canSail() {
-    return this._passengers.length >= this._minCapacity;
+/**
+ * @param {Array<Avatar>} avatars - Avatars in the configuration
+ * @returns {RowingRule|null} Rowing rule entered in the modal, or null if a
+ * named rower is missing or unknown
+ */
+function readRowingRule(avatars) {
+  const type = rowerTypeSelect.value;
+  if (type !== RowerType.NAMED) {
+    return new RowingRule(type);
+  }
+
+  const rowerIds = rowerIdsInput.value
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const rowingRule = new RowingRule(type, rowerIds);
+  if (rowerIds.length === 0 || rowingRule.findUnknownRower(avatars) !== null) {
+    return null;
   }
+  return rowingRule;
 }
 
 /**
- * @class Avatar
- * @description Represents a human or monster character
+ * @returns {{timed: boolean, timeBudget: number|null}|null} Timing entered in
+ * the modal, or null if the time budget is not a positive integer
  */
-class Avatar {
-  /**
-   * @param {string} type - AvatarType.HUMAN or AvatarType.MONSTER (immutable)
-   * @param {string|number} id - Unique identifier (immutable)
-   */
-  constructor(type, id) {
-    this._type = type;
-    this._id = id;
-    this._location = Location.ORIGIN;
-    this._mounted = MountStatus.ON_DOCK;
+function readTiming() {
+  if (timingSelect.value !== 'on') {
+    return { timed: false, timeBudget: null };
   }
-
-  /**
-   * @returns {string} Avatar type
-   */
-  getType() {
-    return this._type;
+  if (timeBudgetInput.value.trim() === '') {
+    return { timed: true, timeBudget: null };
   }
-
-  /**
-   * @returns {string|number} Avatar ID
-   */
-  getId() {
-    return this._id;
+  const timeBudget = Number(timeBudgetInput.value);
+  if (!Number.isInteger(timeBudget) || timeBudget < 1) {
+    return null;
   }
+  return { timed: true, timeBudget };
+}
 
-  /**
-   * @returns {string} Current location
-   */
-  getLocation() {
-    return this._location;
+/**
+ * @returns {{clockLimit: number|null}|null} Clock entered in the modal, or
+ * null if the countdown is not a positive integer
+ */
+function readClock() {
+  if (clockModeSelect.value !== 'countdown') {
+    return { clockLimit: null };
   }
-
-  /**
-   * @returns {string} Current mount status
-   */
-  getMounted() {
-    return this._mounted;
+  const clockLimit = Number(clockLimitInput.value);
+  if (!Number.isInteger(clockLimit) || clockLimit < 1) {
+    return null;
   }
+  return { clockLimit };
+}
 
-  /**
-   * @param {string} location - New location
-   */
-  setLocation(location) {
-    this._location = location;
+/**
+ * @returns {Array<number>|null} Capacities of the boats after the first,
+ * entered in the modal, or null if there are too many boats or one is not
+ * a whole number from 1 to the largest capacity
+ */
+function readMoreBoats() {
+  const capacities = moreBoatsInput.value
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(Number);
+  if (
+    capacities.length >= CONFIG_LIMITS.boats ||
+    capacities.some((value) => !isInRange(value, 1, CONFIG_LIMITS.boatCapacity))
+  ) {
+    return null;
   }
+  return capacities;
+}
 
-  /**
-   * @param {string} mountStatus - New mount status
-   */
-  setMounted(mountStatus) {
-    this._mounted = mountStatus;
+/**
+ * @returns {Object<string, number>|null} Dock capacities by location entered
+ * in the modal as "destination: 4, island-1: 2", or null if an entry is not
+ * a location and a number
+ */
+function readDockCapacities() {
+  const entries = dockCapacitiesInput.value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => entry.split(':').map((part) => part.trim()));
+  if (entries.some((parts) => parts.length !== 2 || !parts[0] || !parts[1])) {
+    return null;
   }
+  return Object.fromEntries(
+    entries.map(([location, capacity]) => [location, Number(capacity)])
+  );
 }
 
 /**
- * @class Game
- * @description Singleton class managing game state and logic
+ * @description Shows the descriptions and the fields that go with the
+ * options selected in the modal
  */
-class Game {
-  static #instance = null;
-
-  /**
-   * @private
-   * @param {number} numMonsters - Number of monster avatars
-   * @param {number} numHumans - Number of human avatars
-   * @param {number} boatCapacity - Boat maximum capacity
-   */
-  constructor(numMonsters = 3, numHumans = 3, boatCapacity = 2) {
-    if (Game.#instance) {
-      throw new Error('Game is a singleton. Use Game.getInstance()');
-    }
+function updateConfigFields() {
+  const puzzle = Puzzle.get(puzzleSelect.value);
+  puzzleDescription.textContent = puzzle.description;
+  ruleSetDescription.textContent = RuleSet.get(ruleSetSelect.value).description;
+  document.getElementById('monsters-group').hidden = !puzzle.countsEditable;
+  document.getElementById('humans-group').hidden = !puzzle.countsEditable;
+  rowerIdsInput.hidden = rowerTypeSelect.value !== RowerType.NAMED;
+  timeBudgetInput.hidden = timingSelect.value !== 'on';
+  clockLimitInput.hidden = clockModeSelect.value !== 'countdown';
+}
 
-    this.uuid = crypto.randomUUID();
-    this.numMonsters = numMonsters;
-    this.numHumans = numHumans;
-    this.totalAvatars = numMonsters + numHumans;
-    this.boatCapacity = boatCapacity;
-    this.status = GameStatus.ONGOING;
-    this.tripCount = 0;
-
-    this.avatars = [];
-    this.boat = null;
-    this.dockOrigin = null;
-    this.dockDestination = null;
-    this.view = null;
-
-    Game.#instance = this;
-  }
-
-  // TODO: description
-  destroy() {
-    this.uuid = null;
-    this.numMonsters = null;
-    this.numHumans = null;
-    this.totalAvatars = null;
-    this.boatCapacity = null;
-    this.status = null;
-    this.tripCount = null;
-
-    this.avatars = [];
-    this.boat = null;
-    this.dockOrigin = null;
-    this.dockDestination = null;
-    this.view = null;
-
-    Game.#instance = null;
-  }
-
-  /**
-   * @static
-   * @param {number} numMonsters - Number of monsters
-   * @param {number} numHumans - Number of humans
-   * @param {number} boatCapacity - Boat capacity
-   * @returns {Game} Singleton instance
-   */
-  static getInstance(numMonsters = 3, numHumans = 3, boatCapacity = 2) {
-    if (!Game.#instance) {
-      Game.#instance = new Game(numMonsters, numHumans, boatCapacity);
-    }
-    return Game.#instance;
-  }
-
-  /**
-   * @static
-   * @description Resets singleton instance for new game
-   */
-  static resetInstance() {
-    Game.#instance = null;
-  }
-
-  /**
-   * @description Initializes game with avatars and objects
-   */
-  initialize() {
-    // reset game status
-    this.status = GameStatus.ONGOING;
-    // reset trip counter
-    this.tripCount = 0;
-
-    // Create docks
-    this.dockOrigin = new Dock(Location.ORIGIN, this.totalAvatars);
-    this.dockDestination = new Dock(Location.DESTINATION, this.totalAvatars);
-
-    // Create boat
-    this.boat = new Boat(this.boatCapacity, 1);
-
-    // Create avatars
-    for (let i = 0; i < this.numMonsters; i++) {
-      const avatar = new Avatar(AvatarType.MONSTER, `monster-${i}`);
-      this.avatars.push(avatar);
-      this.dockOrigin.addPassenger(avatar);
-    }
-    for (let i = 0; i < this.numHumans; i++) {
-      const avatar = new Avatar(AvatarType.HUMAN, `human-${i}`);
-      this.avatars.push(avatar);
-      this.dockOrigin.addPassenger(avatar);
-    }
+/**
+ * @description Solves the configuration entered in the modal and shows the
+ * verdict under the inputs. Setups too big to search in about a second are
+ * left unchecked rather than freezing the page.
+ * @returns {Solution|null} Solver result, or null if a field is invalid
+ */
+function updateSolverStatus() {
+  clearTimeout(solverStatusTimeout);
+  const puzzle = Puzzle.get(puzzleSelect.value);
+  const counts = readCounts(puzzle);
+  const boatCapacity = parseInt(document.getElementById('boat-capacity').value);
+  const ruleSet = RuleSet.get(ruleSetSelect.value);
+  const islands = Number(islandsInput.value);
+  updateConfigFields();
+
+  const timing = readTiming();
+  const moreBoats = readMoreBoats();
+  const dockCapacities = readDockCapacities();
+  if (
+    Object.values(counts).some(
+      (value) => !isInRange(value, 1, CONFIG_LIMITS.count)
+    ) ||
+    !isInRange(boatCapacity, 1, CONFIG_LIMITS.boatCapacity) ||
+    !isInRange(islands, 0, CONFIG_LIMITS.islands) ||
+    !timing ||
+    !moreBoats ||
+    !dockCapacities
+  ) {
+    solverStatus.textContent = '';
+    solverStatus.className = 'solver-status';
+    return null;
   }
-
-  /**
-   * @param {Avatar} avatar - Avatar that was clicked
-   */
-  handleAvatarClick(avatar) {
-    if (this.status !== GameStatus.ONGOING) return;
-
-    if (avatar.getMounted() === MountStatus.ON_DOCK) {
-      const currentDock = this.getDockByLocation(this.boat.location);
-      if (!currentDock.hasPassenger(avatar)) {
-        this.view.showMessage('Boat is on the other side!', 'info');
-        return; // Avatar not at current dock
-      }
-
-      // Move from dock to boat
-      if (this.boat.isFull()) {
-        this.view.showMessage('Boat is at full capacity!', 'info');
-        return;
-      }
-
-      currentDock.removePassenger(avatar);
-      this.boat.addPassenger(avatar);
-      avatar.setMounted(MountStatus.ON_BOAT);
-      this.view.render();
-    } else if (avatar.getMounted() === MountStatus.ON_BOAT) {
-      // Move from boat to dock
-      if (!this.boat.hasPassenger(avatar)) {
-        return;
-      }
-
-      this.boat.removePassenger(avatar);
-      const currentDock = this.getDockByLocation(this.boat.location);
-      currentDock.addPassenger(avatar);
-      avatar.setMounted(MountStatus.ON_DOCK);
-      this.view.render();
-    } else {
-      console.error('Avatar mount status is invalid:', avatar);
-    }
+  const config = new GameConfig({
+    puzzle,
+    counts,
+    boatCapacities: [boatCapacity, ...moreBoats],
+    capacityMode: capacityModeSelect.value,
+    ...timing,
+    ruleSet,
+    islands,
+    dockCapacities,
+  });
+  const rowingRule = readRowingRule(config.createAvatars());
+  if (!rowingRule || config.findDockCapacityError()) {
+    solverStatus.textContent = '';
+    solverStatus.className = 'solver-status';
+    return null;
   }
+  config.rowingRule = rowingRule;
 
-  /**
-   * @description Handles boat click - initiates voyage
-   */
-  handleBoatClick() {
-    if (this.status !== GameStatus.ONGOING) return;
-
-    if (!this.boat.canSail()) {
-      this.view.showMessage('Someone needs to row the boat!', 'info');
-      return;
-    }
-
-    const voyageTo = this.boat.getDestinationLocation();
-
-    // Update boat status
-    this.boat.setStatus(BoatStatus.SAILING);
-    this.boat.setLocation(Location.RIVER);
+  const solver = new Solver(config);
+  const solution = solver.solve(solver.getInitialState(), {
+    maxCrossings: MAX_LIVE_CROSSINGS,
+  });
+  if (solution.gaveUp) {
+    solverStatus.textContent = '⏳ Too big to check ahead';
+    solverStatus.className = 'solver-status';
+  } else if (solution.solvable && config.timed) {
+    solverStatus.textContent = `✅ Fastest: river time ${solution.time} in ${solution.trips} trips`;
+    solverStatus.className = 'solver-status solvable';
+  } else if (solution.solvable) {
+    solverStatus.textContent = `✅ Solvable in ${solution.trips} trips`;
+    solverStatus.className = 'solver-status solvable';
+  } else if (config.timeBudget !== null) {
+    solverStatus.textContent = `⚠️ Unsolvable within a river time of ${config.timeBudget}`;
+    solverStatus.className = 'solver-status unsolvable';
+  } else {
+    solverStatus.textContent = '⚠️ Unsolvable';
+    solverStatus.className = 'solver-status unsolvable';
+  }
+  return solution;
+}
 
-    // Update passengers location
-    this.boat.getPassengers().forEach((avatar) => {
-      avatar.setLocation(Location.RIVER);
-    });
+/**
+ * @description Updates the fields at once, and checks the configuration
+ * once typing pauses so a burst of keystrokes solves once
+ */
+function scheduleSolverStatus() {
+  updateConfigFields();
+  clearTimeout(solverStatusTimeout);
+  solverStatusTimeout = setTimeout(updateSolverStatus, SOLVER_STATUS_DELAY);
+}
 
-    // Update boat trip counter
-    this.tripCount++;
-    // Start voyage animation
-    this.view.playVoyageAnimation(() => {
-      // After animation completes
-      this.boat.setStatus(BoatStatus.DOCKED);
-      this.boat.setLocation(voyageTo);
-
-      this.boat.getPassengers().forEach((avatar) => {
-        avatar.setLocation(voyageTo);
-      });
-
-      this.view.render();
-      this.handleGameStatus();
-      // Check game status after 700ms pause
-      // setTimeout(() => {
-      //   this.handleGameStatus();
-      // }, 700);
-    });
-  }
+// Restart button
+const restartBtn = document.getElementById('restart-btn');
+restartBtn.addEventListener('click', () => {
+  solutionPlayer.stop();
+  replayViewer.close();
+  gameController.restartGame();
+});
 
-  /**
-   * @description Checks win/loss conditions
-   */
-  handleGameStatus() {
-    if (this.status !== GameStatus.ONGOING) return;
+// Replay a finished game
+const replayViewer = new ReplayViewer(gameController);
+gameController.getRef('replayBtn').addEventListener('click', () => {
+  replayViewer.open();
+});
 
-    // Check win condition
-    if (
-      this.dockOrigin.isEmpty() &&
-      this.boat.location === Location.DESTINATION &&
-      this.dockDestination.getPassengerCount() +
-        this.boat.getPassengerCount() >=
-        this.totalAvatars
-    ) {
-      this.status = GameStatus.WON;
-      this.view.playWinAnimation();
-      return true;
-
-      // TODO: prevent cheat in browser
-      const monsters = this.dockDestination
-        .getPassengers()
-        .filter((a) => a.getType() === AvatarType.MONSTER).length;
-      const humans = this.dockDestination
-        .getPassengers()
-        .filter((a) => a.getType() === AvatarType.HUMAN).length;
-
-      if (monsters === this.numMonsters && humans === this.numHumans) {
-        this.status = GameStatus.WON;
-        this.view.playWinAnimation();
-        return;
-      }
-    }
+// Watch the solution
+const solutionPlayer = new SolutionPlayer(gameController);
+document.getElementById('watch-btn').addEventListener('click', () => {
+  replayViewer.close();
+  solutionPlayer.start();
+});
 
-    // Check loss conditions
-    if (!this.isBalanced(this.dockOrigin)) {
-      this.status = GameStatus.LOST;
-      this.handleFeast(this.dockOrigin);
-      return;
-    }
+/**
+ * @description Hands the board back before another game replaces it
+ */
+function stopPlayback() {
+  solutionPlayer.stop();
+  replayViewer.close();
+}
 
-    if (!this.isBalanced(this.dockDestination)) {
-      this.status = GameStatus.LOST;
-      this.handleFeast(this.dockDestination);
-      return;
-    }
+// Campaign levels
+const campaign = new CampaignController(gameController, stopPlayback);
+document.getElementById('campaign-btn').addEventListener('click', () => {
+  if (gameController.view.canInteract()) {
+    campaign.open();
   }
+});
 
-  /**
-   * @param {Dock} dock - Dock to check
-   * @returns {boolean} True if balanced (humans >= monsters or humans == 0)
-   */
-  isBalanced(dock) {
-    let monsters = 0;
-    let humans = 0;
-
-    // count avatars on dock
-    dock.getPassengers().forEach((avatar) => {
-      if (avatar.getType() === AvatarType.MONSTER) {
-        monsters++;
-      } else if (avatar.getType() === AvatarType.HUMAN) {
-        humans++;
-      }
-    });
-    // count avatars on boat if boat is on this dock.
-    if (dock.location === this.boat.location) {
-      this.boat.getPassengers().forEach((avatar) => {
-        if (avatar.getType() === AvatarType.MONSTER) {
-          monsters++;
-        } else if (avatar.getType() === AvatarType.HUMAN) {
-          humans++;
-        }
-      });
-    }
-
-    // Balanced if no humans, or humans >= monsters
-    return humans === 0 || humans >= monsters;
+// Daily challenge
+const daily = new DailyController(gameController, stopPlayback);
+document.getElementById('daily-btn').addEventListener('click', () => {
+  if (gameController.view.canInteract()) {
+    daily.open();
   }
+});
 
-  /**
-   * @param {Dock} dock - Dock where feast occurs
-   */
-  handleFeast(dock) {
-    const predatorList = [];
-    const preyList = [];
-
-    // list avatars on dock
-    dock.getPassengers().forEach((avatar) => {
-      if (avatar.getType() === AvatarType.MONSTER) {
-        predatorList.push(avatar);
-      } else if (avatar.getType() === AvatarType.HUMAN) {
-        preyList.push(avatar);
-      }
-    });
-    // list avatars on boat if boat is on this dock.
-    if (dock.location === this.boat.location) {
-      this.boat.getPassengers().forEach((avatar) => {
-        if (avatar.getType() === AvatarType.MONSTER) {
-          predatorList.push(avatar);
-        } else if (avatar.getType() === AvatarType.HUMAN) {
-          preyList.push(avatar);
-        }
-      });
-    }
-
-    this.view.playFeastAnimation(predatorList, preyList);
-  }
+// Finished games and the stats dashboard
+const history = new HistoryController(gameController);
+document.getElementById('history-btn').addEventListener('click', () => {
+  history.open();
+});
 
-  /**
-   * @param {string|number} id - Avatar ID
-   * @returns {Avatar|undefined} Avatar with matching ID
-   */
-  getAvatarById(id) {
-    return this.avatars.find((avatar) => avatar.getId() === id);
-  }
+// Assist: danger preview, and asking before a row that would lose
+const assistPreviewToggle = document.getElementById('assist-preview-toggle');
+const assistConfirmToggle = document.getElementById('assist-confirm-toggle');
 
-  /**
-   * @param {string} location - Location to search
-   * @returns {Dock|null} Dock at specified location
-   */
-  getDockByLocation(location) {
-    if (location === Location.ORIGIN) {
-      return this.dockOrigin;
-    } else if (location === Location.DESTINATION) {
-      return this.dockDestination;
-    }
-    return null;
-  }
+function syncAssistToggles() {
+  const { assist } = gameController;
+  assistPreviewToggle.checked = assist.dangerPreview;
+  assistConfirmToggle.checked = assist.confirmRisky;
+  assistConfirmToggle.disabled = !assist.dangerPreview;
 }
 
-/* ===========================
-           VIEW LAYER
-           =========================== */
+assistPreviewToggle.addEventListener('change', () => {
+  gameController.assist.setDangerPreview(assistPreviewToggle.checked);
+  syncAssistToggles();
+  gameController.view.renderDangerPreview();
+});
+assistConfirmToggle.addEventListener('change', () => {
+  gameController.assist.setConfirmRisky(assistConfirmToggle.checked);
+});
+syncAssistToggles();
+
+// Animation speed, shared by every board and set from the header or the
+// auto-play bar
+const animationSpeedSelects = [
+  document.getElementById('animation-speed'),
+  gameController.getRef('autoplaySpeed'),
+];
+animationSpeedSelects.forEach((select) => {
+  select.addEventListener('change', () => {
+    AnimationTimeline.setSpeed(Number(select.value));
+    animationSpeedSelects.forEach((other) => {
+      other.value = select.value;
+    });
+  });
+});
+
+// Transcript modal handling
+const transcriptModal = document.getElementById('transcript-modal');
+const transcriptTitle = document.getElementById('transcript-title');
+const transcriptText = document.getElementById('transcript-text');
+const transcriptError = document.getElementById('transcript-error');
+const transcriptSubmitBtn = document.getElementById('transcript-submit-btn');
 
 /**
- * @class ViewController
- * @description Handles all UI rendering and animations
+ * @param {boolean} isImport - True to paste a transcript, false to copy one
  */
-class ViewController {
-  /**
-   * @param {Game} game - Reference to game instance
-   */
-  constructor(game) {
-    this.game = game;
-    this.uuid = crypto.randomUUID();
-    this.elements = {
-      originContent: document.getElementById('origin-content'),
-      destinationContent: document.getElementById('destination-content'),
-      boat: document.getElementById('boat'),
-      river: document.getElementById('river'),
-      messageBox: document.getElementById('message-box'),
-      overlay: document.getElementById('overlay'),
-      timer: document.getElementById('timer'),
-      // TODO: refactor view elements
-      boatActionBtn: document.getElementById('boat-action-btn'),
-      boatCapacityLabel: document.getElementById('boat-capacity-label'),
-    };
-    this.animationDuration = 3000; // Feast animation duration
-    this.voyageDuration = 2000; // Voyage animation duration
-    this.isAnimating = false;
-    this.timerInterval = null;
-    this.startTime = null;
-  }
-
-  // TODO: description
-  destroy() {
-    this.game = null;
-    this.uuid = null;
-    this.elements = null;
-    this.animationDuration = null;
-    this.voyageDuration = null;
-    this.isAnimating = null;
-    this.timerInterval = null;
-    this.startTime = null;
-  }
-
-  /**
-   * @description Starts the game timer
-   */
-  startTimer() {
-    this.startTime = Date.now();
-    this.timerInterval = setInterval(() => {
-      const elapsed = Date.now() - this.startTime;
-      const minutes = Math.floor(elapsed / 60000);
-      const seconds = Math.floor((elapsed % 60000) / 1000);
-      const milliseconds = elapsed % 1000;
-
-      // this.displayGeekStats();
-
-      this.elements.timer.textContent = `${String(minutes).padStart(
-        2,
-        '0'
-      )}:${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(
-        3,
-        '0'
-      )}`;
-    }, 10);
-  }
-
-  /**
-   * @description Stops the game timer
-   */
-  stopTimer() {
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-    }
-  }
+function openTranscriptModal(isImport) {
+  transcriptModal.dataset.mode = isImport ? 'import' : 'export';
+  transcriptTitle.textContent = isImport
+    ? '📥 Import Transcript'
+    : '📤 Export Transcript';
+  transcriptText.value = isImport ? '' : gameController.exportTranscript();
+  transcriptText.readOnly = !isImport;
+  transcriptSubmitBtn.textContent = isImport ? 'Import & Replay' : 'Copy';
+  transcriptError.classList.remove('show');
+  transcriptModal.classList.add('show');
+  overlay.classList.add('show');
+  transcriptText.focus();
+  transcriptText.select();
+}
 
-  /**
-   * @description Gets elapsed time string
-   * @returns {string} Formatted time string
-   */
-  getElapsedTime() {
-    const elapsed = Date.now() - this.startTime;
-    const minutes = Math.floor(elapsed / 60000);
-    const seconds = Math.floor((elapsed % 60000) / 1000);
-    const milliseconds = elapsed % 1000;
-    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(
-      2,
-      '0'
-    )}.${String(milliseconds).padStart(3, '0')}`;
-  }
-
-  /**
-   * @description Initializes UI and starts timer
-   */
-  initialize() {
-    this.bindEvents();
-    this.render();
-    // this.startTimer();
-    // TODO: wrap function
-    this.elements.boatCapacityLabel.innerText = `Capacity: ${this.game.boatCapacity}`;
-  }
-
-  /**
-   * @description Binds event listeners to UI elements
-   */
-  bindEvents() {
-    // Boat click
-    this.elements.boatActionBtn.addEventListener('click', () => {
-      if (!this.isAnimating) {
-        this.game.handleBoatClick();
-      }
-    });
-  }
+function closeTranscriptModal() {
+  transcriptModal.classList.remove('show');
+  overlay.classList.remove('show');
+}
 
-  /**
-   * @description Renders complete game state
-   */
-  render() {
-    this.renderDock(this.game.dockOrigin, this.elements.originContent);
-    this.renderDock(
-      this.game.dockDestination,
-      this.elements.destinationContent
-    );
-    this.renderBoat();
-    // TODO: optimize this view render.
-    this.elements.timer.textContent = `Boat Trips: ${this.game.tripCount}`;
-  }
-
-  displayGeekStats() {
-    document.getElementById(
-      'geek-stats'
-    ).innerHTML = `<p style="color: black; font-size: 14px;">Game UUID: ${
-      this.game.uuid
-    } | View UUID: ${
-      this.uuid
-    }</p><p style="color: black; font-size: 14px;">Boat Passengers: ${this.game.boat.getPassengerCount()} | Origin Dock: ${this.game.dockOrigin.getPassengerCount()} | Destination Dock: ${this.game.dockDestination.getPassengerCount()} | </p>`;
-  }
-
-  /**
-   * @param {Dock} dock - Dock to render
-   * @param {HTMLElement} container - Container element
-   */
-  renderDock(dock, container) {
-    container.innerHTML = '';
-    dock.getPassengers().forEach((avatar) => {
-      const avatarEl = this.createAvatarElement(avatar);
-      container.appendChild(avatarEl);
-    });
+document.getElementById('export-btn').addEventListener('click', () => {
+  if (gameController.view.canInteract()) {
+    openTranscriptModal(false);
   }
-
-  /**
-   * @description Renders boat with passengers
-   */
-  renderBoat() {
-    const boat = this.game.boat;
-    const boatEl = this.elements.boat;
-    const river = this.elements.river;
-
-    // Clear boat content except emoji
-    boatEl.innerHTML = '<span style="color: white; font-size: 24px;">🛶</span>';
-
-    // Add passengers
-    boat.getPassengers().forEach((avatar) => {
-      const avatarEl = this.createAvatarElement(avatar, true);
-      boatEl.appendChild(avatarEl);
-    });
-
-    // Move boat to left dock
-    if (this.game.boat.location === Location.ORIGIN) {
-      river.style.alignItems = 'flex-start';
-    } else if (this.game.boat.location === Location.DESTINATION) {
-      river.style.alignItems = 'flex-end';
-    }
+});
+document.getElementById('import-btn').addEventListener('click', () => {
+  if (gameController.view.canInteract()) {
+    openTranscriptModal(true);
   }
-
-  /**
-   * @param {Avatar} avatar - Avatar to create element for
-   * @param {boolean} isOnBoat - Whether avatar is on boat
-   * @returns {HTMLElement} Avatar DOM element
-   */
-  createAvatarElement(avatar, isOnBoat = false) {
-    const div = document.createElement('div');
-    div.className = `avatar ${avatar.getType()}`;
-    div.dataset.avatarId = avatar.getId();
-
-    /*
-    TODO: fix gif
-
-    // Try to load image, fallback to emoji
-    const img = document.createElement('img');
-    const imageName = `${avatar.getType()}-idle.gif`;
-    img.src = `images/${imageName}`;
-    img.alt = avatar.getType();
-    img.onerror = () => {
-      // Fallback to emoji
-      div.innerHTML = avatar.getType() === AvatarType.HUMAN ? '😐' : '👹';
-    };
-    div.appendChild(img);
-    */
-
-    div.innerHTML = avatar.getType() === AvatarType.HUMAN ? '😐' : '👹';
-
-    // Add click handler
-    if (!isOnBoat || this.game.boat.location !== Location.RIVER) {
-      div.addEventListener('click', () => {
-        if (!this.isAnimating) {
-          this.game.handleAvatarClick(avatar);
-        }
-      });
-    }
-
-    return div;
-  }
-
-  /**
-   * @param {string} message - Message to display
-   * @param {string} type - Message type (info/win/lose)
-   */
-  showMessage(message, type = 'info') {
-    const msgBox = this.elements.messageBox;
-    const overlay = this.elements.overlay;
-
-    msgBox.textContent = message;
-    msgBox.className = `message-box show ${type}`;
-    overlay.classList.add('show');
-
-    setTimeout(() => {
-      msgBox.classList.remove('show');
-      overlay.classList.remove('show');
-    }, 2000);
-  }
-
-  /**
-   * @param {Function} callback - Function to call after animation
-   */
-  playVoyageAnimation(callback) {
-    this.isAnimating = true;
-    this.elements.boat.classList.add('sailing');
-    this.render();
-
-    setTimeout(() => {
-      this.elements.boat.classList.remove('sailing');
-      this.isAnimating = false;
-      callback();
-    }, this.voyageDuration);
-  }
-
-  /**
-   * @param {Array<Avatar>} predatorList - List of monsters
-   * @param {Array<Avatar>} preyList - List of humans
-   */
-  playFeastAnimation(predatorList, preyList) {
-    this.isAnimating = true;
-    // this.stopTimer();
-
-    // Assign targets
-    const targets = new Map();
-    let preyIndex = 0;
-    predatorList.forEach((predator, i) => {
-      targets.set(predator.getId(), preyList[preyIndex].getId());
-      preyIndex = (preyIndex + 1) % preyList.length;
-    });
-
-    // Phase 1: Horrified (0-1s)
-    preyList.forEach((prey) => {
-      this.updateAvatarImage(prey, 'human-horrified.gif', '😱');
-      const el = document.querySelector(`[data-avatar-id="${prey.getId()}"]`);
-      if (el) el.classList.add('vibrate');
-    });
-
-    predatorList.forEach((predator) => {
-      this.updateAvatarImage(predator, 'monster-happy.gif', '😈');
-    });
-
-    // Phase 2: Move and feast (1-2s)
-    setTimeout(() => {
-      predatorList.forEach((predator, index) => {
-        const targetId = targets.get(predator.getId());
-        const predatorEl = document.querySelector(
-          `[data-avatar-id="${predator.getId()}"]`
-        );
-        const targetEl = document.querySelector(
-          `[data-avatar-id="${targetId}"]`
-        );
-
-        if (predatorEl && targetEl) {
-          const targetRect = targetEl.getBoundingClientRect();
-          const predatorRect = predatorEl.getBoundingClientRect();
-
-          // Add offset to prevent complete overlap
-          const offsetX = index * 15;
-          const offsetY = index * 10;
-
-          const deltaX = targetRect.left - predatorRect.left + offsetX;
-          const deltaY = targetRect.top - predatorRect.top + offsetY;
-
-          predatorEl.style.transition = 'transform 1s ease-in-out';
-          predatorEl.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
-          predatorEl.style.zIndex = 100 + index;
-        }
-      });
-      // TODO: animation skipped not visible // could be async problem.
-      this.updateAvatarImages(predatorList, 'monster-feast.gif', '😈');
-      this.updateAvatarImages(preyList, 'human-deceased.gif', '🍖');
-    }, 2000);
-
-    // Phase 3: Satisfied and skulls (2-3s)
-    setTimeout(() => {
-      this.updateAvatarImages(predatorList, 'monster-satisfied.gif', '👹');
-      this.updateAvatarImages(preyList, 'human-skull.gif', '💀');
-    }, 2000);
-
-    // Complete animation
-    setTimeout(() => {
-      this.isAnimating = false;
-      const timeStr = this.getElapsedTime();
-      this.showMessage(
-        `Game Over! The monsters feasted!\n Boat trips: ${this.game.tripCount}`,
-        'lose'
-      );
-    }, this.animationDuration);
-
-    // TODO: refactor
-    this.elements.timer.textContent = `Game Over! The monsters feasted!\n Boat trips: ${this.game.tripCount}`;
-  }
-
-  /**
-   * @description Plays win animation
-   */
-  playWinAnimation() {
-    // this.stopTimer();
-    // const timeStr = this.getElapsedTime();
-
-    this.showMessage(
-      `🥳🥳🥳🎉 Victory! People safely crossed! People thank you. Monsters hate you.\n Boat trips: ${this.game.tripCount}`,
-      'win'
-    );
-
-    // TODO: optimize this view render.
-    this.elements.timer.textContent = `🥳🥳🥳🎉 Victory! People safely crossed! People thank you. Monsters hate you.\n Boat trips: ${this.game.tripCount}`;
-  }
-
-  /**
-   * @param {Avatar} avatar - Avatar to update
-   * @param {string} imageName - New image filename
-   * @param {string} emojiF Fallback - Fallback emoji
-   */
-  updateAvatarImage(avatar, imageName, emojiFallback) {
-    const el = document.querySelector(`[data-avatar-id="${avatar.getId()}"]`);
-    if (!el) return;
-
-    const img = el.querySelector('img');
-    if (img) {
-      const newSrc = `images/${imageName}`;
-      img.src = newSrc;
-      img.onerror = () => {
-        el.innerHTML = emojiFallback;
-      };
-    } else {
-      el.innerHTML = emojiFallback;
-    }
+});
+document
+  .getElementById('transcript-cancel-btn')
+  .addEventListener('click', closeTranscriptModal);
+
+transcriptSubmitBtn.addEventListener('click', () => {
+  if (transcriptModal.dataset.mode === 'export') {
+    transcriptText.select();
+    navigator.clipboard?.writeText(transcriptText.value);
+    closeTranscriptModal();
+    return;
+  }
+
+  try {
+    solutionPlayer.stop();
+    replayViewer.close();
+    gameController.importTranscript(transcriptText.value);
+    closeTranscriptModal();
+  } catch (error) {
+    if (!(error instanceof TranscriptError)) throw error;
+    transcriptError.textContent = error.message;
+    transcriptError.classList.add('show');
   }
+});
 
-  /**
-   * @param {Array<Avatar>} avatars - Avatars to update
-   * @param {string} imageName - New image filename
-   * @param {string} emojiFallback - Fallback emoji
-   */
-  updateAvatarImages(avatars, imageName, emojiFallback) {
-    avatars.forEach((avatar) => {
-      this.updateAvatarImage(avatar, imageName, emojiFallback);
-    });
-  }
+// Undo/redo buttons
+gameController.getRef('undoBtn').addEventListener('click', () => {
+  gameController.undo();
+});
+gameController.getRef('redoBtn').addEventListener('click', () => {
+  gameController.redo();
+});
 
-  /**
-   * @description Disables user interactions
-   */
-  disableInteractions() {
-    this.isAnimating = true;
-  }
+// Hint button
+gameController.getRef('hintBtn').addEventListener('click', () => {
+  gameController.hint();
+});
 
-  /**
-   * @description Enables user interactions
-   */
-  enableInteractions() {
-    this.isAnimating = false;
+// Undo/redo shortcuts: Ctrl+Z, Ctrl+Y (or Ctrl+Shift+Z)
+document.addEventListener('keydown', (e) => {
+  if (
+    !(e.ctrlKey || e.metaKey) ||
+    configModal.classList.contains('show') ||
+    transcriptModal.classList.contains('show') ||
+    campaign.elements.modal.classList.contains('show') ||
+    daily.elements.modal.classList.contains('show') ||
+    history.elements.modal.classList.contains('show')
+  ) {
+    return;
+  }
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    gameController.undo();
+  } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+    e.preventDefault();
+    gameController.redo();
   }
-}
+});
 
-/* ===========================
-           CONTROLLER LAYER
-           =========================== */
+// Open config modal
+configBtn.addEventListener('click', () => {
+  configModal.classList.add('show');
+  overlay.classList.add('show');
+  updateSolverStatus();
+});
 
 /**
- * @class GameController
- * @description Orchestrates game initialization and UI updates
+ * @param {RowingRule} rowingRule - Rowing rule to show in the modal
  */
-class GameController {
-  // TODO Description
-  constructor() {
-    this.game = null;
-    this.view = null;
-  }
-  // TODO Description
-  destroy() {
-    this.game = null;
-    this.view = null;
-  }
-
-  /**
-   * @param {number} numMonsters - Number of monsters
-   * @param {number} numHumans - Number of humans
-   * @param {number} boatCapacity - Boat capacity
-   */
-  startNewGame(numMonsters = 3, numHumans = 3, boatCapacity = 2) {
-    // Reset singleton
-    Game.resetInstance();
-
-    // Create new game instance
-    this.game = Game.getInstance(numMonsters, numHumans, boatCapacity);
-    this.game.initialize();
-
-    // Create view
-    this.view = new ViewController(this.game);
-    // Initialize UI
-    this.view.initialize();
-
-    this.game.view = this.view;
-
-    console.log(this);
-    console.log('view uuid');
-    console.log(this.view.uuid);
-    console.log('game uuid');
-    console.log(this.game.uuid);
-  }
-
-  /**
-   * @description Restarts game with current configuration
-   */
-  restartGame() {
-    if (this.game) {
-      const { numMonsters, numHumans, boatCapacity } = this.game;
-      this.cleanGarbage();
-      this.startNewGame(numMonsters, numHumans, boatCapacity);
-    }
-  }
-
-  // TODO: description
-  cleanGarbage() {
-    this.game.destroy();
-    this.view.destroy();
-    this.destroy();
-  }
+function showRowingRule(rowingRule) {
+  rowerTypeSelect.value = rowingRule.type;
+  rowerIdsInput.value = rowingRule.rowerIds.join(', ');
+  rowerIdsInput.hidden = rowerTypeSelect.value !== RowerType.NAMED;
 }
 
-/* ===========================
-MAIN INITIALIZATION
-=========================== */
-
-// Global controller instance
-let gameController = new GameController();
-
-// Configuration modal handling
-const configBtn = document.getElementById('config-btn');
-const configModal = document.getElementById('config-modal');
-const configForm = document.getElementById('config-form');
-const cancelBtn = document.getElementById('cancel-btn');
-const overlay = document.getElementById('overlay');
+/**
+ * @param {{timed: boolean, timeBudget: number|null}} timing - Config or
+ * puzzle timing to show in the modal
+ */
+function showTiming({ timed, timeBudget }) {
+  timingSelect.value = timed ? 'on' : 'off';
+  timeBudgetInput.value = timeBudget ?? '';
+  timeBudgetInput.hidden = !timed;
+}
 
-// Restart button
-const restartBtn = document.getElementById('restart-btn');
-restartBtn.addEventListener('click', () => {
-  gameController.restartGame();
+// A new puzzle brings its own boat and rowers
+puzzleSelect.addEventListener('input', () => {
+  const puzzle = Puzzle.get(puzzleSelect.value);
+  document.getElementById('boat-capacity').value = puzzle.boatCapacity;
+  showRowingRule(puzzle.rowingRule);
+  showTiming(puzzle);
+  updateSolverStatus();
 });
 
-// Open config modal
-configBtn.addEventListener('click', () => {
-  configModal.classList.add('show');
-  overlay.classList.add('show');
+// Check solvability live while typing
+[
+  'num-monsters',
+  'num-humans',
+  'boat-capacity',
+  'capacity-mode',
+  'timing',
+  'time-budget',
+  'clock-mode',
+  'clock-limit',
+  'islands',
+  'more-boats',
+  'dock-capacities',
+  'rower-type',
+  'rower-ids',
+  'rule-set',
+].forEach((id) => {
+  document.getElementById(id).addEventListener('input', scheduleSolverStatus);
 });
 
 // Close config modal
@@ -967,9 +525,11 @@ cancelBtn.addEventListener('click', () => {
 configForm.addEventListener('submit', (e) => {
   e.preventDefault();
 
-  const numMonsters = parseInt(document.getElementById('num-monsters').value);
-  const numHumans = parseInt(document.getElementById('num-humans').value);
+  const puzzle = Puzzle.get(puzzleSelect.value);
+  const counts = readCounts(puzzle);
   const boatCapacity = parseInt(document.getElementById('boat-capacity').value);
+  const ruleSet = RuleSet.get(ruleSetSelect.value);
+  const islands = Number(islandsInput.value);
 
   // Validation
   let isValid = true;
@@ -981,43 +541,193 @@ configForm.addEventListener('submit', (e) => {
   const monstersError = document.getElementById('monsters-error');
   const humansError = document.getElementById('humans-error');
   const capacityError = document.getElementById('capacity-error');
+  const rowersError = document.getElementById('rowers-error');
+  const budgetError = document.getElementById('budget-error');
+  const clockLimitError = document.getElementById('clock-limit-error');
+  const islandsError = document.getElementById('islands-error');
+  const moreBoatsError = document.getElementById('more-boats-error');
+  const dockCapacitiesError = document.getElementById('dock-capacities-error');
 
   // Reset errors
-  [monstersInput, humansInput, capacityInput].forEach((input) => {
+  [
+    monstersInput,
+    humansInput,
+    capacityInput,
+    rowerIdsInput,
+    timeBudgetInput,
+    clockLimitInput,
+    islandsInput,
+    moreBoatsInput,
+    dockCapacitiesInput,
+  ].forEach((input) => {
     input.classList.remove('error');
   });
-  [monstersError, humansError, capacityError].forEach((error) => {
+  [
+    monstersError,
+    humansError,
+    capacityError,
+    rowersError,
+    budgetError,
+    clockLimitError,
+    islandsError,
+    moreBoatsError,
+    dockCapacitiesError,
+  ].forEach((error) => {
     error.classList.remove('show');
   });
 
   // Validate monsters
-  if (!Number.isInteger(numMonsters) || numMonsters < 1) {
+  const numMonsters = counts[AvatarType.MONSTER];
+  if (
+    puzzle.countsEditable &&
+    !isInRange(numMonsters, 1, CONFIG_LIMITS.count)
+  ) {
     monstersInput.classList.add('error');
     monstersError.classList.add('show');
     isValid = false;
   }
 
   // Validate humans
-  if (!Number.isInteger(numHumans) || numHumans < 1) {
+  const numHumans = counts[AvatarType.HUMAN];
+  if (puzzle.countsEditable && !isInRange(numHumans, 1, CONFIG_LIMITS.count)) {
     humansInput.classList.add('error');
     humansError.classList.add('show');
     isValid = false;
   }
 
   // Validate boat capacity
-  if (!Number.isInteger(boatCapacity) || boatCapacity < 1) {
+  if (!isInRange(boatCapacity, 1, CONFIG_LIMITS.boatCapacity)) {
     capacityInput.classList.add('error');
     capacityError.classList.add('show');
     isValid = false;
   }
 
+  // Validate islands
+  if (!isInRange(islands, 0, CONFIG_LIMITS.islands)) {
+    islandsInput.classList.add('error');
+    islandsError.classList.add('show');
+    isValid = false;
+  }
+
+  // Validate more boats
+  const moreBoats = readMoreBoats();
+  if (!moreBoats) {
+    moreBoatsInput.classList.add('error');
+    moreBoatsError.classList.add('show');
+    isValid = false;
+  }
+
+  // Validate time budget
+  const timing = readTiming();
+  if (!timing) {
+    timeBudgetInput.classList.add('error');
+    budgetError.classList.add('show');
+    isValid = false;
+  }
+
+  // Validate countdown
+  const clock = readClock();
+  if (!clock) {
+    clockLimitInput.classList.add('error');
+    clockLimitError.classList.add('show');
+    isValid = false;
+  }
+
+  // Validate named rowers
+  const config = new GameConfig({
+    puzzle,
+    counts,
+    boatCapacities: [boatCapacity, ...(moreBoats ?? [])],
+    capacityMode: capacityModeSelect.value,
+    ...timing,
+    ...clock,
+    ruleSet,
+    islands,
+    dockCapacities: readDockCapacities() ?? {},
+  });
+  const rowingRule = isValid && readRowingRule(config.createAvatars());
+  if (isValid && !rowingRule) {
+    rowerIdsInput.classList.add('error');
+    rowersError.classList.add('show');
+    isValid = false;
+  }
+
+  // Validate dock limits
+  const dockError = readDockCapacities()
+    ? config.findDockCapacityError()
+    : 'Enter limits such as destination: 4';
+  if (dockError) {
+    dockCapacitiesInput.classList.add('error');
+    dockCapacitiesError.textContent = dockError;
+    dockCapacitiesError.classList.add('show');
+    isValid = false;
+  }
+
   if (isValid) {
+    const solution = updateSolverStatus();
+    if (
+      !solution.solvable &&
+      !solution.gaveUp &&
+      !confirm('This setup can never be won. Start it anyway?')
+    ) {
+      return;
+    }
+
     configModal.classList.remove('show');
     overlay.classList.remove('show');
+    solutionPlayer.stop();
+    replayViewer.close();
     gameController.cleanGarbage();
-    gameController.startNewGame(numMonsters, numHumans, boatCapacity);
+    config.rowingRule = rowingRule;
+    gameController.startNewGame(config);
   }
 });
 
-// Start initial game
-gameController.startNewGame();
+// Resume a saved game, or start one with the saved configuration
+const savedGame = gameController.storage.load();
+try {
+  if (!savedGame) {
+    gameController.startNewGame();
+  } else if (
+    savedGame.status === GameStatus.ONGOING &&
+    confirm('Resume your game in progress?')
+  ) {
+    gameController.resumeGame(savedGame);
+  } else {
+    // Saves from before puzzles existed keep the config at the top level
+    gameController.startNewGame(
+      GameConfig.fromJSON(savedGame.config ?? savedGame)
+    );
+  }
+} catch (error) {
+  // A damaged save mustn't leave the board blank: forget it, start afresh
+  console.error('Could not restore saved game:', error);
+  gameController.storage.clear();
+  if (gameController.view) gameController.cleanGarbage();
+  gameController.startNewGame();
+}
+
+// Show the running configuration in the modal
+const { config } = gameController.game;
+puzzleSelect.value = config.puzzle.id;
+if (config.puzzle.countsEditable) {
+  document.getElementById('num-monsters').value = config.getCount(
+    AvatarType.MONSTER
+  );
+  document.getElementById('num-humans').value = config.getCount(
+    AvatarType.HUMAN
+  );
+}
+document.getElementById('boat-capacity').value = config.boatCapacity;
+capacityModeSelect.value = config.capacityMode;
+islandsInput.value = config.islands;
+moreBoatsInput.value = config.boatCapacities.slice(1).join(', ');
+dockCapacitiesInput.value = Object.entries(config.dockCapacities)
+  .map(([location, capacity]) => `${location}: ${capacity}`)
+  .join(', ');
+showTiming(config);
+clockModeSelect.value = config.clockLimit === null ? 'stopwatch' : 'countdown';
+clockLimitInput.value = config.clockLimit ?? '';
+clockLimitInput.hidden = config.clockLimit === null;
+ruleSetSelect.value = config.ruleSet.id;
+showRowingRule(config.rowingRule);
@@ -0,0 +1,71 @@
+/**
+ * @class AssistSettings
+ * @description Remembers in localStorage how much help the player wants:
+ * the danger preview, off by default, and with it a "row anyway?" question
+ * before a voyage that would lose, which hardcore players can switch off
+ */
+export class AssistSettings {
+  /**
+   * @param {string} key - localStorage key to save under
+   */
+  constructor(key) {
+    this.key = key;
+    const saved = this.load();
+    this.dangerPreview = saved.dangerPreview ?? false;
+    this.confirmRisky = saved.confirmRisky ?? true;
+  }
+
+  /**
+   * @private
+   * @returns {Object} Saved settings, or none if nothing usable is saved
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) ?? {};
+    } catch (error) {
+      console.error('Could not load assist settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        this.key,
+        JSON.stringify({
+          dangerPreview: this.dangerPreview,
+          confirmRisky: this.confirmRisky,
+        })
+      );
+    } catch (error) {
+      // Private mode or full storage: settings last until the page closes
+      console.error('Could not save assist settings:', error);
+    }
+  }
+
+  /**
+   * @param {boolean} on - Show what a voyage would do before rowing
+   */
+  setDangerPreview(on) {
+    this.dangerPreview = on;
+    this.save();
+  }
+
+  /**
+   * @param {boolean} on - Ask before a voyage that would lose
+   */
+  setConfirmRisky(on) {
+    this.confirmRisky = on;
+    this.save();
+  }
+
+  /**
+   * @returns {boolean} True if a losing voyage should be confirmed first
+   */
+  shouldConfirmRisky() {
+    return this.dangerPreview && this.confirmRisky;
+  }
+}
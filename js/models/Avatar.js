@@ -0,0 +1,111 @@
+import { Location, MountStatus } from '../enums.js';
+
+/**
+ * @class Avatar
+ * @description Represents one character of a puzzle's species
+ */
+export class Avatar {
+  /**
+   * @param {string} type - Species id, e.g. AvatarType.HUMAN (immutable)
+   * @param {string|number} id - Unique identifier (immutable)
+   * @param {number} weight - Load units it takes in a weight-limited boat
+   * (immutable, default: 1)
+   * @param {number} crossingTime - Time it takes to cross the river
+   * (immutable, default: 1)
+   */
+  constructor(type, id, weight = 1, crossingTime = 1) {
+    this._type = type;
+    this._id = id;
+    this._weight = weight;
+    this._crossingTime = crossingTime;
+    this._location = Location.ORIGIN;
+    this._mounted = MountStatus.ON_DOCK;
+  }
+
+  /**
+   * @returns {string} Avatar type (species id)
+   */
+  getType() {
+    return this._type;
+  }
+
+  /**
+   * @returns {string|number} Avatar ID
+   */
+  getId() {
+    return this._id;
+  }
+
+  /**
+   * @returns {number} Avatar weight
+   */
+  getWeight() {
+    return this._weight;
+  }
+
+  /**
+   * @returns {number} Time the avatar takes to cross the river
+   */
+  getCrossingTime() {
+    return this._crossingTime;
+  }
+
+  /**
+   * @returns {string} Current location
+   */
+  getLocation() {
+    return this._location;
+  }
+
+  /**
+   * @returns {string} Current mount status
+   */
+  getMounted() {
+    return this._mounted;
+  }
+
+  /**
+   * @param {string} location - New location
+   */
+  setLocation(location) {
+    this._location = location;
+  }
+
+  /**
+   * @param {string} mountStatus - New mount status
+   */
+  setMounted(mountStatus) {
+    this._mounted = mountStatus;
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      type: this._type,
+      id: this._id,
+      weight: this._weight,
+      crossingTime: this._crossingTime,
+      location: this._location,
+      mounted: this._mounted,
+    };
+  }
+
+  /**
+   * @static
+   * @param {Object} data - Output of toJSON()
+   * @returns {Avatar} Restored avatar
+   */
+  static fromJSON(data) {
+    const avatar = new Avatar(
+      data.type,
+      data.id,
+      data.weight,
+      data.crossingTime
+    );
+    avatar.setLocation(data.location);
+    avatar.setMounted(data.mounted);
+    return avatar;
+  }
+}
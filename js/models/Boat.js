@@ -0,0 +1,129 @@
+import { Location, BoatStatus, CapacityMode } from '../enums.js';
+import { MountObj } from './MountObj.js';
+import { RowingRule } from './RowingRule.js';
+
+/**
+ * @class Boat
+ * @extends MountObj
+ * @description Represents the boat that transports avatars
+ */
+export class Boat extends MountObj {
+  /**
+   * @param {number} maxCapacity - Maximum boat capacity
+   * @param {number} minCapacity - Minimum capacity to sail (default: 1)
+   * @param {RowingRule} rowingRule - Who may row (default: anyone)
+   * @param {string} capacityMode - What maxCapacity limits (default: head
+   * count)
+   */
+  constructor(
+    maxCapacity,
+    minCapacity = 1,
+    rowingRule = new RowingRule(),
+    capacityMode = CapacityMode.HEAD_COUNT
+  ) {
+    super(minCapacity, maxCapacity, capacityMode);
+    this._location = Location.ORIGIN;
+    this._status = BoatStatus.DOCKED;
+    this._rowingRule = rowingRule;
+  }
+
+  /**
+   * @returns {string} Current boat location
+   */
+  get location() {
+    return this._location;
+  }
+
+  /**
+   * @returns {string} Current boat status
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * @param {string} location - New location
+   */
+  setLocation(location) {
+    this._location = location;
+  }
+
+  /**
+   * @param {string} status - New status
+   */
+  setStatus(status) {
+    this._status = status;
+  }
+
+  /**
+   * @returns {RowingRule} Who may row
+   */
+  get rowingRule() {
+    return this._rowingRule;
+  }
+
+  /**
+   * @returns {boolean} True if boat has minimum passengers to sail
+   */
+  hasMinPassengers() {
+    return this._passengers.length >= this._minCapacity;
+  }
+
+  /**
+   * @returns {Avatar|null} Passenger who rows, or null if no one aboard can
+   */
+  getRower() {
+    return this._rowingRule.getRower(this._passengers);
+  }
+
+  /**
+   * @returns {number} Time the voyage takes: that of the slowest passenger
+   */
+  getCrossingTime() {
+    return Math.max(
+      0,
+      ...this._passengers.map((avatar) => avatar.getCrossingTime())
+    );
+  }
+
+  /**
+   * @returns {boolean} True if boat has minimum passengers and a rower
+   */
+  canSail() {
+    return this.hasMinPassengers() && this.getRower() !== null;
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      location: this._location,
+      status: this._status,
+      minCapacity: this._minCapacity,
+      maxCapacity: this._maxCapacity,
+      capacityMode: this._capacityMode,
+      passengers: this._passengers.map((avatar) => avatar.getId()),
+    };
+  }
+
+  /**
+   * @static
+   * @param {Object} data - Output of toJSON()
+   * @param {Map<string|number, Avatar>} avatarsById - Restored avatars
+   * @param {RowingRule} [rowingRule] - Game's rowing rule
+   * @returns {Boat} Restored boat
+   */
+  static fromJSON(data, avatarsById, rowingRule) {
+    const boat = new Boat(
+      data.maxCapacity,
+      data.minCapacity,
+      rowingRule,
+      data.capacityMode
+    );
+    boat.setLocation(data.location);
+    boat.setStatus(data.status);
+    data.passengers.forEach((id) => boat.addPassenger(avatarsById.get(id)));
+    return boat;
+  }
+}
@@ -0,0 +1,100 @@
+import { Level } from './Level.js';
+
+/**
+ * @typedef {Object} LevelRecord
+ * @property {number} stars - Most stars earned on the level
+ * @property {number} bestTrips - Fewest trips a win took
+ */
+
+/**
+ * @typedef {Object} LevelResult
+ * @property {number} stars - Stars this win earned
+ * @property {boolean} newBest - The win took fewer trips than any before
+ * @property {Level|null} unlocked - Level the win unlocked, if any
+ */
+
+/**
+ * @class CampaignProgress
+ * @description Remembers the best result on each campaign level in
+ * localStorage. Winning a level unlocks the next one.
+ */
+export class CampaignProgress {
+  /**
+   * @param {string} key - localStorage key to save under
+   */
+  constructor(key = 'monks-n-monsters:campaign') {
+    this.key = key;
+    this.records = this.load();
+  }
+
+  /**
+   * @private
+   * @returns {Object<string, LevelRecord>} Saved records by level id, or
+   * none if nothing usable is saved
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) ?? {};
+    } catch (error) {
+      console.error('Could not load campaign progress:', error);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(this.records));
+    } catch (error) {
+      // Private mode or full storage: progress lasts until the page closes
+      console.error('Could not save campaign progress:', error);
+    }
+  }
+
+  /**
+   * @param {Level} level - Campaign level
+   * @returns {LevelRecord|null} Best result so far, or null if never won
+   */
+  getRecord(level) {
+    return this.records[level.id] ?? null;
+  }
+
+  /**
+   * @param {Level} level - Campaign level
+   * @returns {boolean} True for the first level and any level after a won one
+   */
+  isUnlocked(level) {
+    const previous = Level.getAll()[level.getNumber() - 2];
+    return !previous || this.getRecord(previous) !== null;
+  }
+
+  /**
+   * @param {Level} level - Level that was won
+   * @param {number} trips - Trips the win took
+   * @returns {LevelResult} How the win scored
+   */
+  recordWin(level, trips) {
+    const record = this.getRecord(level);
+    const next = level.getNext();
+    const unlocked = next && !this.isUnlocked(next) ? next : null;
+    const stars = level.getStars(trips);
+    const newBest = !record || trips < record.bestTrips;
+
+    this.records[level.id] = {
+      stars: Math.max(stars, record?.stars ?? 0),
+      bestTrips: Math.min(trips, record?.bestTrips ?? trips),
+    };
+    this.save();
+    return { stars, newBest, unlocked };
+  }
+
+  /**
+   * @description Forgets every result, locking all but the first level
+   */
+  reset() {
+    this.records = {};
+    localStorage.removeItem(this.key);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @class CommandHistory
+ * @description Undo/redo stacks of executed game commands
+ */
+export class CommandHistory {
+  constructor() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * @description Executes a command and records it. Clears redo history.
+   * @param {Object} command - Command with execute() and undo()
+   */
+  execute(command) {
+    command.execute();
+    this._undoStack.push(command);
+    this._redoStack = [];
+  }
+
+  /**
+   * @returns {Object|null} Command that was undone, or null if none
+   */
+  undo() {
+    const command = this._undoStack.pop();
+    if (!command) {
+      return null;
+    }
+    command.undo();
+    this._redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * @returns {Object|null} Command that was redone, or null if none
+   */
+  redo() {
+    const command = this._redoStack.pop();
+    if (!command) {
+      return null;
+    }
+    command.execute();
+    this._undoStack.push(command);
+    return command;
+  }
+
+  /**
+   * @returns {boolean} True if there is a command to undo
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is a command to redo
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * @returns {Array<Object>} Copy of executed commands, oldest first
+   */
+  getUndoStack() {
+    return [...this._undoStack];
+  }
+
+  /**
+   * @description Forgets all recorded commands
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+}
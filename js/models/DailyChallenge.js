@@ -0,0 +1,180 @@
+import { AvatarType, DailyDifficulty, PuzzleId, RowerType } from '../enums.js';
+import { GameConfig } from './GameConfig.js';
+import { Puzzle } from './Puzzle.js';
+import { RuleSet } from './RuleSet.js';
+import { RowingRule } from './RowingRule.js';
+import { Solver } from './Solver.js';
+
+/**
+ * @typedef {Object} TripBand
+ * @property {number} min - Fewest optimal trips accepted
+ * @property {number} max - Most optimal trips accepted
+ * @property {Object} fallback - GameConfig options of a setup in the band,
+ * played if no drawn setup lands in it
+ */
+
+/**
+ * @type {Object<string, TripBand>}
+ */
+const TRIP_BANDS = {
+  [DailyDifficulty.EASY]: {
+    min: 3,
+    max: 9,
+    fallback: { counts: { [AvatarType.MONSTER]: 2, [AvatarType.HUMAN]: 2 } },
+  },
+  [DailyDifficulty.MEDIUM]: { min: 10, max: 15, fallback: {} },
+  [DailyDifficulty.HARD]: { min: 16, max: 30, fallback: { islands: 1 } },
+};
+
+// Setups drawn before settling for the fallback
+const MAX_ATTEMPTS = 40;
+
+/**
+ * @param {string} text - Seed text
+ * @returns {Function} Random number generator returning [0, 1), always the
+ * same sequence for the same text (FNV-1a hash feeding mulberry32)
+ */
+function createRandom(text) {
+  let seed = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    seed = Math.imul(seed ^ text.charCodeAt(i), 16777619);
+  }
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @class DailyChallenge
+ * @description The puzzle of the day for one difficulty. Setups are drawn
+ * from a generator seeded with the date, so everyone gets the same one, and
+ * only kept if their optimal solution falls in the difficulty's trip band.
+ */
+export class DailyChallenge {
+  /**
+   * @param {string} date - UTC day as "YYYY-MM-DD"
+   * @param {string} difficulty - DailyDifficulty value
+   */
+  constructor(date, difficulty) {
+    this.date = date;
+    this.difficulty = difficulty;
+    this.id = `${date}/${difficulty}`;
+    this.config = null;
+    this.par = null;
+  }
+
+  /**
+   * @static
+   * @param {Date} [date] - Moment to look up (default: now)
+   * @returns {string} Its UTC day as "YYYY-MM-DD", the same worldwide
+   */
+  static getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @static
+   * @param {string} id - DailyChallenge id, e.g. "2026-10-19/medium"
+   * @returns {DailyChallenge|null} Challenge with this id, or null if the id
+   * can't be read
+   */
+  static fromId(id) {
+    const [date, difficulty] = id.split('/');
+    return TRIP_BANDS[difficulty] ? new DailyChallenge(date, difficulty) : null;
+  }
+
+  /**
+   * @static
+   * @param {string} difficulty - DailyDifficulty value
+   * @returns {TripBand} Optimal trip counts it accepts
+   */
+  static getBand(difficulty) {
+    return TRIP_BANDS[difficulty];
+  }
+
+  /**
+   * @description Generated on first use, then remembered
+   * @returns {GameConfig} Fresh copy of the day's setup, tagged with this
+   * challenge's id
+   */
+  createConfig() {
+    if (!this.config) this.generate();
+    return GameConfig.fromJSON(this.config.toJSON());
+  }
+
+  /**
+   * @returns {number} Fewest trips that win the day's setup
+   */
+  getPar() {
+    if (!this.config) this.generate();
+    return this.par;
+  }
+
+  /**
+   * @private
+   * @description Draws setups until one is solvable within the band. If
+   * none is, falls back to the band's fixed setup, which is still the same
+   * for everyone.
+   */
+  generate() {
+    const random = createRandom(this.id);
+    const { min, max, fallback } = TRIP_BANDS[this.difficulty];
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      const config = this.drawConfig(random);
+      const { solvable, trips } = new Solver(config).solve();
+      if (solvable && trips >= min && trips <= max) {
+        this.config = config;
+        this.par = trips;
+        return;
+      }
+    }
+
+    this.config = new GameConfig({ ...fallback, dailyId: this.id });
+    this.par = new Solver(this.config).solve().trips;
+  }
+
+  /**
+   * @private
+   * @param {Function} random - Seeded generator from createRandom()
+   * @returns {GameConfig} Random setup, not yet known to be solvable
+   */
+  drawConfig(random) {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const between = (low, high) =>
+      low + Math.floor(random() * (high - low + 1));
+
+    const puzzle =
+      random() < 0.75
+        ? Puzzle.get(PuzzleId.MONSTERS_AND_HUMANS)
+        : pick([
+            Puzzle.get(PuzzleId.WOLF_GOAT_CABBAGE),
+            Puzzle.get(PuzzleId.JEALOUS_HUSBANDS),
+          ]);
+    const options = {
+      puzzle,
+      ruleSet: pick(RuleSet.getAll()),
+      islands: random() < 0.3 ? 1 : 0,
+      dailyId: this.id,
+    };
+
+    if (puzzle.countsEditable) {
+      // Never fewer humans than monsters, or they'd be eaten at the start
+      const humans = between(2, 5);
+      options.counts = {
+        [AvatarType.MONSTER]: between(1, humans),
+        [AvatarType.HUMAN]: humans,
+      };
+      options.boatCapacity = between(2, 4);
+      if (random() < 0.25) {
+        options.rowingRule = new RowingRule(RowerType.HUMANS);
+      }
+    } else {
+      options.boatCapacity = puzzle.boatCapacity + (random() < 0.3 ? 1 : 0);
+    }
+    return new GameConfig(options);
+  }
+}
@@ -0,0 +1,106 @@
+import { DailyChallenge } from './DailyChallenge.js';
+
+/**
+ * @typedef {Object} DailyResult
+ * @property {number} trips - Trips the win took
+ * @property {number} time - Milliseconds on the clock at the win
+ * @property {number} hintsUsed - Hints asked for along the way
+ * @property {number} par - Fewest trips that win the challenge
+ */
+
+/**
+ * @param {string} date - UTC day as "YYYY-MM-DD"
+ * @returns {string} The UTC day before it
+ */
+function getPreviousDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return DailyChallenge.getDateKey(day);
+}
+
+/**
+ * @class DailyProgress
+ * @description Remembers the first win of each daily challenge in
+ * localStorage, and counts the days in a row with one
+ */
+export class DailyProgress {
+  /**
+   * @param {string} key - localStorage key to save under
+   */
+  constructor(key = 'monks-n-monsters:daily') {
+    this.key = key;
+    this.records = this.load();
+  }
+
+  /**
+   * @private
+   * @returns {Object<string, Object<string, DailyResult>>} Saved results
+   * by date, then difficulty, or none if nothing usable is saved
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) ?? {};
+    } catch (error) {
+      console.error('Could not load daily results:', error);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(this.records));
+    } catch (error) {
+      // Private mode or full storage: results last until the page closes
+      console.error('Could not save daily results:', error);
+    }
+  }
+
+  /**
+   * @param {DailyChallenge} challenge - Daily challenge
+   * @returns {DailyResult|null} First win, or null if not won yet
+   */
+  getResult(challenge) {
+    return this.records[challenge.date]?.[challenge.difficulty] ?? null;
+  }
+
+  /**
+   * @description Keeps only the first win, so replaying a solved challenge
+   * can't improve its result
+   * @param {DailyChallenge} challenge - Challenge that was won
+   * @param {Object} score - trips, time and hintsUsed of the win
+   * @returns {boolean} True if this was the first win and got recorded
+   */
+  recordWin(challenge, { trips, time, hintsUsed }) {
+    if (this.getResult(challenge)) return false;
+
+    this.records[challenge.date] = {
+      ...this.records[challenge.date],
+      [challenge.difficulty]: {
+        trips,
+        time,
+        hintsUsed,
+        par: challenge.getPar(),
+      },
+    };
+    this.save();
+    return true;
+  }
+
+  /**
+   * @param {string} [today] - UTC day as "YYYY-MM-DD" (default: today)
+   * @returns {number} Days in a row with a daily win, up to today. A streak
+   * that ended yesterday still counts until today is over.
+   */
+  getStreak(today = DailyChallenge.getDateKey()) {
+    let date = this.records[today] ? today : getPreviousDay(today);
+    let streak = 0;
+    while (this.records[date]) {
+      streak++;
+      date = getPreviousDay(date);
+    }
+    return streak;
+  }
+}
@@ -0,0 +1,48 @@
+import { MountObj } from './MountObj.js';
+
+/**
+ * @class Dock
+ * @extends MountObj
+ * @description Represents a dock on either bank or on an island
+ */
+export class Dock extends MountObj {
+  /**
+   * @param {string} location - Location.ORIGIN, Location.DESTINATION or an
+   * island from GameConfig.getShores() (immutable)
+   * @param {number} maxCapacity - Maximum number of avatars dock can hold
+   */
+  constructor(location, maxCapacity) {
+    super(0, maxCapacity);
+    this._location = location;
+  }
+
+  /**
+   * @returns {string} Dock location
+   */
+  get location() {
+    return this._location;
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      location: this._location,
+      maxCapacity: this._maxCapacity,
+      passengers: this._passengers.map((avatar) => avatar.getId()),
+    };
+  }
+
+  /**
+   * @static
+   * @param {Object} data - Output of toJSON()
+   * @param {Map<string|number, Avatar>} avatarsById - Restored avatars
+   * @returns {Dock} Restored dock
+   */
+  static fromJSON(data, avatarsById) {
+    const dock = new Dock(data.location, data.maxCapacity);
+    data.passengers.forEach((id) => dock.addPassenger(avatarsById.get(id)));
+    return dock;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * @class EventEmitter
+ * @description Minimal publish/subscribe base class. Has no DOM dependency so
+ * models can emit events in the browser and in Node alike.
+ */
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * @param {string} type - Event type to listen for
+   * @param {Function} listener - Called with the event object
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, []);
+    }
+    this._listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * @param {string} type - Event type
+   * @param {Object} detail - Event data, merged into the event object
+   */
+  emit(type, detail = {}) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    // Copy so listeners can unsubscribe while being called
+    [...listeners].forEach((listener) => listener({ type, ...detail }));
+  }
+
+  /**
+   * @description Drops every listener
+   */
+  removeAllListeners() {
+    this._listeners.clear();
+  }
+}
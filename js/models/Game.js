@@ -0,0 +1,1210 @@
+import {
+  Location,
+  MountStatus,
+  GameStatus,
+  BoatStatus,
+  MoveType,
+  GameEvent,
+} from '../enums.js';
+import { EventEmitter } from './EventEmitter.js';
+import { Avatar } from './Avatar.js';
+import { Boat } from './Boat.js';
+import { Dock } from './Dock.js';
+import { Solver } from './Solver.js';
+import { GameConfig } from './GameConfig.js';
+import { CommandHistory } from './CommandHistory.js';
+import { BoardCommand, UnboardCommand, VoyageCommand } from './commands.js';
+import { Transcript } from './Transcript.js';
+
+/**
+ * @typedef {Object} PreviewPlace
+ * @property {string} location - Where the place is
+ * @property {boolean} withDock - True for a dock and the boats joining it,
+ * false for a boat checked on its own
+ * @property {Array<number>} boats - Indexes of the boats in the place
+ * @property {Object<string, number>} counts - Avatars of each species there
+ * @property {boolean} safe - True if no one there would be eaten
+ */
+
+/**
+ * @typedef {Object} VoyagePreview
+ * @property {boolean} safe - True if the voyage wouldn't lose the game to a
+ * feast
+ * @property {Array<PreviewPlace>} places - Every place the balance check
+ * looks at, with who would be there once the boat lands
+ */
+
+/**
+ * @class Game
+ * @extends EventEmitter
+ * @description Manages game state and logic. Has no DOM dependency: views
+ * subscribe to GameEvent notifications instead. Games are independent, so
+ * any number can run side by side.
+ *
+ * A voyage started by handleBoatClick() stays on the river until
+ * completeVoyage() is called, which lets a view animate it first. Headless
+ * callers can call completeVoyage() straight away, or use applyMove().
+ */
+export class Game extends EventEmitter {
+  /**
+   * @param {GameConfig} config - Puzzle, avatar counts and rules to play
+   */
+  constructor(config = new GameConfig()) {
+    super();
+
+    this.uuid = crypto.randomUUID();
+    this.config = config;
+    this.puzzle = config.puzzle;
+    this.totalAvatars = config.getTotalAvatars();
+    this.boatCapacity = config.boatCapacity;
+    this.capacityMode = config.capacityMode;
+    this.timed = config.timed;
+    this.timeBudget = config.timeBudget;
+    this.clockLimit = config.clockLimit;
+    this.ruleSet = config.ruleSet;
+    this.rowingRule = config.rowingRule;
+    this.status = GameStatus.ONGOING;
+    this.tripCount = 0;
+    this.riverTime = 0;
+    this.hintsUsed = 0;
+    this.clockElapsed = 0; // Milliseconds on the clock before clockStart
+    this.clockStart = null; // When the running clock last started
+
+    this.avatars = [];
+    this.boats = [];
+    this.boat = null; // Selected boat: the one avatars board and that rows
+    this.docks = []; // One per shore, from origin to destination
+    this.dockOrigin = null;
+    this.dockDestination = null;
+    this.history = new CommandHistory();
+    this.solver = new Solver(config);
+    this.pendingVoyage = null;
+  }
+
+  // TODO: description
+  destroy() {
+    this.uuid = null;
+    this.config = null;
+    this.puzzle = null;
+    this.totalAvatars = null;
+    this.boatCapacity = null;
+    this.capacityMode = null;
+    this.timed = null;
+    this.timeBudget = null;
+    this.clockLimit = null;
+    this.ruleSet = null;
+    this.rowingRule = null;
+    this.status = null;
+    this.tripCount = null;
+    this.riverTime = null;
+    this.hintsUsed = null;
+    this.clockElapsed = null;
+    this.clockStart = null;
+
+    this.avatars = [];
+    this.boats = [];
+    this.boat = null;
+    this.docks = [];
+    this.dockOrigin = null;
+    this.dockDestination = null;
+    this.history = null;
+    this.solver = null;
+    this.pendingVoyage = null;
+    this.removeAllListeners();
+  }
+
+  /**
+   * @description Initializes game with avatars and objects
+   */
+  initialize() {
+    // reset game status
+    this.status = GameStatus.ONGOING;
+    // reset trip counter and river time
+    this.tripCount = 0;
+    this.riverTime = 0;
+    // reset move history
+    this.history.clear();
+    // reset hint counter
+    this.hintsUsed = 0;
+    // reset clock, which starts on the first move
+    this.clockElapsed = 0;
+    this.clockStart = null;
+
+    // Create docks, islands included
+    this.setDocks(
+      this.config
+        .getShores()
+        .map(
+          (location) =>
+            new Dock(location, this.config.getDockCapacity(location))
+        )
+    );
+
+    // Create boats, the first one selected
+    this.boats = this.config.boatCapacities.map(
+      (capacity) => new Boat(capacity, 1, this.rowingRule, this.capacityMode)
+    );
+    this.boat = this.boats[0];
+
+    // Create avatars
+    this.avatars = this.config.createAvatars();
+    this.avatars.forEach((avatar) => this.dockOrigin.addPassenger(avatar));
+  }
+
+  /**
+   * @description Picks the boat avatars board and the player rows next
+   * @param {Boat} boat - One of this.boats
+   */
+  selectBoat(boat) {
+    if (boat === this.boat) return;
+    if (this.status !== GameStatus.ONGOING) {
+      this.rejectMove('The game is over!');
+      return;
+    }
+    if (this.boat.status === BoatStatus.SAILING) {
+      this.rejectMove('The boat is on the river!');
+      return;
+    }
+
+    this.boat = boat;
+    this.emit(GameEvent.BOAT_SELECTED, { boat });
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar that was clicked
+   */
+  handleAvatarClick(avatar) {
+    const error = this.getAvatarMoveError(avatar);
+    if (error) {
+      this.rejectMove(error);
+      return;
+    }
+
+    this.startClock();
+    this.moveAvatar(avatar);
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @private
+   * @description Boards an avatar standing on the dock, or unboards one on
+   * the boat. Call only after getAvatarMoveError() returned null.
+   * @param {Avatar} avatar - Avatar to move
+   */
+  moveAvatar(avatar) {
+    if (avatar.getMounted() === MountStatus.ON_DOCK) {
+      // Move from dock to boat
+      this.history.execute(new BoardCommand(this, avatar));
+      this.emit(GameEvent.AVATAR_BOARDED, { avatar });
+    } else {
+      // Move from boat to dock
+      this.history.execute(new UnboardCommand(this, avatar));
+      this.emit(GameEvent.AVATAR_UNBOARDED, { avatar });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} reason - Why the move is not allowed
+   */
+  rejectMove(reason) {
+    this.emit(GameEvent.MOVE_REJECTED, { reason });
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to board or unboard
+   * @param {Boat} [boat] - Boat to board (default: the selected boat)
+   * @returns {string|null} Why the avatar can't move, or null if it can
+   */
+  getAvatarMoveError(avatar, boat = this.boat) {
+    if (this.status !== GameStatus.ONGOING) {
+      return 'The game is over!';
+    }
+    if (this.boat.status === BoatStatus.SAILING) {
+      return 'The boat is on the river!';
+    }
+
+    if (avatar.getMounted() === MountStatus.ON_DOCK) {
+      const currentDock = this.getDockByLocation(boat.location);
+      if (!currentDock.hasPassenger(avatar)) {
+        return 'Boat is on the other side!'; // Avatar not at current dock
+      }
+      if (boat.isFull()) {
+        return 'Boat is at full capacity!';
+      }
+      if (!boat.canFit(avatar)) {
+        return `${avatar.getId()} is too heavy for the boat!`;
+      }
+      return null;
+    }
+
+    if (avatar.getMounted() === MountStatus.ON_BOAT) {
+      const avatarBoat = this.getBoatOf(avatar);
+      if (!avatarBoat) {
+        return 'Avatar is not on a boat!';
+      }
+      const dock = this.getDockByLocation(avatarBoat.location);
+      if (!dock.canFit(avatar)) {
+        return `The ${this.config.getShoreName(dock.location)} dock is full!`;
+      }
+      return null;
+    }
+
+    console.error('Avatar mount status is invalid:', avatar);
+    return 'Avatar mount status is invalid!';
+  }
+
+  /**
+   * @private
+   * @param {Array<Dock>} docks - One dock per shore, from origin to
+   * destination
+   */
+  setDocks(docks) {
+    this.docks = docks;
+    this.dockOrigin = docks[0];
+    this.dockDestination = docks[docks.length - 1];
+  }
+
+  /**
+   * @param {Boat} [boat] - Docked boat (default: the selected boat)
+   * @returns {Array<string>} Shores the boat can row to, the default (next
+   * one downstream, or back from the destination) first
+   */
+  getVoyageTargets(boat = this.boat) {
+    return this.config.getAdjacentShores(boat.location);
+  }
+
+  /**
+   * @param {string|null} [to] - Shore to row to (default: first voyage
+   * target)
+   * @param {Boat} [boat] - Boat to row (default: the selected boat)
+   * @returns {string|null} Why the boat can't leave, or null if it can
+   */
+  getVoyageError(to = this.getVoyageTargets()[0], boat = this.boat) {
+    if (this.status !== GameStatus.ONGOING) {
+      return 'The game is over!';
+    }
+    if (this.boat.status === BoatStatus.SAILING) {
+      return 'The boat is on the river!';
+    }
+    if (!this.getVoyageTargets(boat).includes(to)) {
+      return 'There is no shore to row to that way!';
+    }
+    if (!boat.hasMinPassengers()) {
+      return 'Someone needs to row the boat!';
+    }
+    if (!boat.canSail()) {
+      return 'No one aboard can row';
+    }
+    return null;
+  }
+
+  /**
+   * @description Works out what a voyage would do to the balance without
+   * moving anyone: every place checked as the boat leaves and lands, and
+   * whether someone there would be eaten. Doesn't check the move is legal.
+   * @param {string} [to] - Shore to row to (default: first voyage target)
+   * @param {Boat} [boat] - Boat to row (default: the selected boat)
+   * @returns {VoyagePreview} What the balance check would find
+   */
+  previewVoyage(to = this.getVoyageTargets()[0], boat = this.boat) {
+    const boatLocationsAt = (location) =>
+      this.boats.map((other) => (other === boat ? location : other.location));
+    const shores = this.config.getShores();
+
+    // One place per dock or lone boat; the landing checkpoint has the last
+    // word on counts, but a feast at any checkpoint makes it unsafe
+    const places = new Map();
+    this.ruleSet.getCheckpoints(to).forEach((checkpoint) => {
+      this.ruleSet
+        .getGroups(boatLocationsAt(checkpoint), shores)
+        .forEach((group) => {
+          const key = group.withDock
+            ? group.location
+            : `boat-${group.boats[0]}`;
+          const counts = this.puzzle.countSpecies(this.getGroupAvatars(group));
+          const safe =
+            this.puzzle.isSafe(counts) && (places.get(key)?.safe ?? true);
+          places.set(key, { ...group, counts, safe });
+        });
+    });
+
+    // Everyone crossing wins before anyone is checked
+    const arrivals = boatLocationsAt(to).flatMap((location, i) =>
+      location === Location.DESTINATION ? this.boats[i].getPassengers() : []
+    );
+    const wins = this.isEveryoneAcross([
+      ...this.dockDestination.getPassengers(),
+      ...arrivals,
+    ]);
+    return {
+      safe: wins || [...places.values()].every((place) => place.safe),
+      places: [...places.values()],
+    };
+  }
+
+  /**
+   * @description Applies a move instantly. Voyages land at once, so only
+   * voyageEnded is emitted for them. Used to replay transcripts.
+   * @param {Move} move - Move to apply
+   * @returns {string|null} Why the move is illegal, or null if it was applied
+   */
+  applyMove(move) {
+    const error = this.getMoveError(move);
+    if (error) {
+      this.rejectMove(error);
+      return error;
+    }
+
+    if (move.type !== MoveType.UNBOARD) {
+      this.selectBoat(this.getMoveBoat(move));
+    }
+    if (move.type === MoveType.VOYAGE) {
+      this.pendingVoyage = new VoyageCommand(
+        this,
+        this.boat,
+        this.boat.location,
+        this.getMoveTarget(move)
+      );
+      this.completeVoyage();
+    } else {
+      this.moveAvatar(this.getAvatarById(move.avatarId));
+      this.emit(GameEvent.STATE_CHANGED);
+    }
+    return null;
+  }
+
+  /**
+   * @param {Move} move - Move to check
+   * @returns {string|null} Why the move is illegal, or null if it is legal
+   */
+  getMoveError(move) {
+    const boat = this.getMoveBoat(move);
+    if (!boat) {
+      return `No boat ${move.boat + 1}`;
+    }
+    if (move.type === MoveType.VOYAGE) {
+      return this.getVoyageError(this.getMoveTarget(move), boat);
+    }
+
+    const avatar = this.getAvatarById(move.avatarId);
+    if (!avatar) {
+      return `No avatar with id "${move.avatarId}"`;
+    }
+    if (
+      move.type === MoveType.BOARD &&
+      avatar.getMounted() !== MountStatus.ON_DOCK
+    ) {
+      return `${move.avatarId} is already on the boat`;
+    }
+    if (
+      move.type === MoveType.UNBOARD &&
+      avatar.getMounted() !== MountStatus.ON_BOAT
+    ) {
+      return `${move.avatarId} is not on the boat`;
+    }
+
+    return this.getAvatarMoveError(avatar, boat);
+  }
+
+  /**
+   * @private
+   * @param {Move} move - Move to look at
+   * @returns {Boat|undefined} Boat it boards or rows (the first boat unless
+   * the move names another)
+   */
+  getMoveBoat(move) {
+    return this.boats[move.boat ?? 0];
+  }
+
+  /**
+   * @private
+   * @param {Move} move - Voyage move
+   * @returns {string|null} Shore it rows to: the second voyage target for a
+   * move marked back, else the first. Null if there is no such shore.
+   */
+  getMoveTarget(move) {
+    const [onward, back] = this.getVoyageTargets(this.getMoveBoat(move));
+    return (move.back ? back : onward) ?? null;
+  }
+
+  /**
+   * @description Handles boat click - initiates the selected boat's voyage
+   * @param {string} [to] - Shore to row to (default: first voyage target)
+   */
+  handleBoatClick(to = this.getVoyageTargets()[0]) {
+    const error = this.getVoyageError(to);
+    if (error) {
+      this.rejectMove(error);
+      return;
+    }
+
+    this.startClock();
+    this.launchVoyage(to);
+    this.resumeVoyage();
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @private
+   * @description Puts the selected boat on the river, heading for a shore.
+   * The voyage waits in pendingVoyage until completeVoyage() lands it.
+   * @param {string} to - Location the boat rows to
+   */
+  launchVoyage(to) {
+    const voyage = new VoyageCommand(this, this.boat, this.boat.location, to);
+
+    // Update boat status
+    this.boat.setStatus(BoatStatus.SAILING);
+    this.boat.setLocation(Location.RIVER);
+
+    // Update passengers location
+    this.boat.getPassengers().forEach((avatar) => {
+      avatar.setLocation(Location.RIVER);
+    });
+
+    // Update boat trip counter and river time
+    this.tripCount++;
+    this.riverTime += voyage.duration;
+    this.pendingVoyage = voyage;
+  }
+
+  /**
+   * @description Announces the voyage on the river, e.g. after a game with a
+   * boat mid-river is restored
+   */
+  resumeVoyage() {
+    if (!this.pendingVoyage) return;
+
+    const { boat, from, to, passengers, duration } = this.pendingVoyage;
+    this.emit(GameEvent.VOYAGE_STARTED, {
+      boat,
+      from,
+      to,
+      passengers,
+      duration,
+    });
+  }
+
+  /**
+   * @description Docks the boat on the river at its destination and checks
+   * win/loss conditions
+   */
+  completeVoyage() {
+    const voyage = this.pendingVoyage;
+    if (!voyage) return;
+
+    this.pendingVoyage = null;
+    this.history.execute(voyage);
+
+    const { boat, from, to, passengers } = voyage;
+    this.emit(GameEvent.VOYAGE_ENDED, {
+      boat,
+      from,
+      to,
+      passengers,
+      tripCount: this.tripCount,
+      riverTime: this.riverTime,
+    });
+    this.handleGameStatus();
+    if (this.status === GameStatus.ONGOING) {
+      this.warnIfDockFull(boat);
+    }
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @private
+   * @description Emits dockFull if the dock a boat just reached has no room
+   * for everyone aboard, so some of them can't go ashore
+   * @param {Boat} boat - Boat that just docked
+   */
+  warnIfDockFull(boat) {
+    const dock = this.getDockByLocation(boat.location);
+    const room = dock.maxCapacity - dock.getLoad();
+    if (room >= boat.getPassengerCount()) return;
+
+    const name = this.config.getShoreName(dock.location);
+    this.emit(GameEvent.DOCK_FULL, {
+      dock,
+      room,
+      reason:
+        room === 0
+          ? `The ${name} dock is full: no one can go ashore!`
+          : `The ${name} dock only has room for ${room} more!`,
+    });
+  }
+
+  /**
+   * @description Reverts the last move. Works after a win or loss too.
+   * @returns {boolean} True if a move was undone
+   */
+  undo() {
+    if (this.boat.status === BoatStatus.SAILING) return false;
+    if (this.isClockUp()) return false;
+
+    const command = this.history.undo();
+    if (!command) return false;
+    this.emit(GameEvent.MOVE_UNDONE, { command });
+    this.emit(GameEvent.STATE_CHANGED);
+    return true;
+  }
+
+  /**
+   * @description Replays the last undone move
+   * @returns {boolean} True if a move was redone
+   */
+  redo() {
+    if (this.status !== GameStatus.ONGOING) return false;
+    if (this.boat.status === BoatStatus.SAILING) return false;
+
+    const command = this.history.redo();
+    if (!command) return false;
+    this.emit(GameEvent.MOVE_REDONE, { command });
+    if (command instanceof VoyageCommand) {
+      this.handleGameStatus();
+    }
+    this.emit(GameEvent.STATE_CHANGED);
+    return true;
+  }
+
+  /**
+   * @description Counts a hint and announces the next optimal move. If the
+   * position can't be won, announces how many undos lead back to one that can.
+   */
+  handleHintClick() {
+    if (this.status === GameStatus.WON) return;
+    if (this.boat.status === BoatStatus.SAILING) return;
+    if (this.isClockUp()) return;
+
+    this.hintsUsed++;
+
+    const move = this.getNextMove();
+    if (move) {
+      this.emit(GameEvent.HINT_SHOWN, { move });
+    } else {
+      const undoDepth = this.findWinnableUndoDepth();
+      this.emit(GameEvent.HINT_UNAVAILABLE, {
+        reason:
+          undoDepth === null
+            ? "Can't be won from here or any earlier position."
+            : "This position can't be won.",
+        undoDepth,
+      });
+    }
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @description Undoes back to a winnable position and announces the hint
+   * from there, without counting another hint
+   * @param {number} depth - Number of moves to undo (see findWinnableUndoDepth)
+   */
+  rewindForHint(depth) {
+    for (let i = 0; i < depth; i++) {
+      const command = this.history.undo();
+      if (!command) break;
+      this.emit(GameEvent.MOVE_UNDONE, { command });
+    }
+
+    const move = this.getNextMove();
+    if (move) {
+      this.emit(GameEvent.HINT_SHOWN, { move });
+    }
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @description Works out the next click on the fastest way to a win
+   * @returns {{action: string, avatars: Array<Avatar>, to: string, boat:
+   * Boat}|null} Move where action is 'unboard', 'select' (the boat), 'board'
+   * or 'row', to is the next voyage's and boat the one the avatars leave or
+   * board (else the next voyage's), or null if the position can't be won or
+   * the boat is still on the river
+   */
+  getNextMove() {
+    if (this.status !== GameStatus.ONGOING) return null;
+    if (this.boat.status === BoatStatus.SAILING) return null;
+
+    const solution = this.solver.solve(this.getSolverState());
+    if (!solution.solvable || solution.trips === 0) return null;
+
+    const crossing = solution.crossings[0];
+    const boat = this.boats[crossing.boat];
+    const { to } = crossing;
+    const steps = this.planLoading(boat, crossing.counts);
+    if (!steps) return null;
+
+    const [first] = steps;
+    if (!first) {
+      return boat === this.boat
+        ? { action: 'row', avatars: [], to, boat }
+        : { action: 'select', avatars: [], to, boat };
+    }
+    if (first.action === 'board' && first.boat !== this.boat) {
+      return { action: 'select', avatars: [], to, boat: first.boat };
+    }
+
+    // Everyone due ashore unboards in one go, boarding goes a boat at a time
+    const end = steps.findIndex(
+      (step) =>
+        step.action !== first.action ||
+        (step.action === 'board' && step.boat !== first.boat)
+    );
+    return {
+      action: first.action,
+      avatars: steps
+        .slice(0, end === -1 ? steps.length : end)
+        .map((step) => step.avatar),
+      to,
+      boat: first.boat,
+    };
+  }
+
+  /**
+   * @private
+   * @description Breadth-first search over who sits where at a boat's
+   * shore, one board or unboard at a time, until the boat holds the given
+   * load. Full docks and boats can make that take a detour through another
+   * boat docked there. Avatars of one solver class are interchangeable.
+   * @param {Boat} boat - Docked boat to load
+   * @param {Array<number>} counts - Avatars of each solver class it must hold
+   * @returns {Array<{action: string, avatar: Avatar, boat: Boat}>|null}
+   * Boards and unboards in order (empty if the boat is loaded already), or
+   * null if the load can't be put together
+   */
+  planLoading(boat, counts) {
+    // Place 0 is the dock, the others are the boats docked at it
+    const places = [
+      this.getDockByLocation(boat.location),
+      ...this.boats.filter((other) => other.location === boat.location),
+    ];
+    const target = places.indexOf(boat);
+    const getUnits = (place, index) =>
+      place === 0 ? 1 : this.solver.getUnits(index);
+    const getLoad = (tally, place) =>
+      tally.reduce((sum, count, i) => sum + count * getUnits(place, i), 0);
+    const getKey = (state) => state.map((tally) => tally.join(',')).join('|');
+
+    const start = places.map((place) => {
+      const tally = counts.map(() => 0);
+      place.getPassengers().forEach((avatar) => {
+        tally[this.solver.getClassIndex(avatar)]++;
+      });
+      return tally;
+    });
+    // Unboarding comes first, so hints clear the boat before filling it
+    const transfers = [
+      ...places.slice(1).map((_, b) => [b + 1, 0]),
+      ...places.slice(1).map((_, b) => [0, b + 1]),
+    ];
+    // key -> { parentKey, transfer } for path reconstruction
+    const visited = new Map([[getKey(start), null]]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      if (state[target].every((count, i) => count === counts[i])) {
+        return this.buildLoadingSteps(places, visited, getKey(state));
+      }
+
+      for (const [from, to] of transfers) {
+        counts.forEach((_, index) => {
+          if (state[from][index] === 0) return;
+          const load = getLoad(state[to], to) + getUnits(to, index);
+          if (load > places[to].maxCapacity) return;
+
+          const next = state.map((tally, place) => {
+            if (place === from) {
+              return tally.map((count, i) => (i === index ? count - 1 : count));
+            }
+            if (place === to) {
+              return tally.map((count, i) => (i === index ? count + 1 : count));
+            }
+            return tally;
+          });
+          const nextKey = getKey(next);
+          if (visited.has(nextKey)) return;
+          visited.set(nextKey, {
+            parentKey: getKey(state),
+            transfer: { from, to, index },
+          });
+          queue.push(next);
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {Array<MountObj>} places - Dock, then the boats docked at it
+   * @param {Map<string, Object|null>} visited - Search tree of planLoading()
+   * @param {string} key - Key of the loaded state
+   * @returns {Array<{action: string, avatar: Avatar, boat: Boat}>} Steps
+   * from the current seating to that state, naming real avatars
+   */
+  buildLoadingSteps(places, visited, key) {
+    const transfers = [];
+    let entry = visited.get(key);
+    while (entry) {
+      transfers.unshift(entry.transfer);
+      entry = visited.get(entry.parentKey);
+    }
+
+    const seats = places.map((place) => place.getPassengers());
+    return transfers.map(({ from, to, index }) => {
+      const avatar = seats[from].find(
+        (other) => this.solver.getClassIndex(other) === index
+      );
+      seats[from].splice(seats[from].indexOf(avatar), 1);
+      seats[to].push(avatar);
+      return to === 0
+        ? { action: 'unboard', avatar, boat: places[from] }
+        : { action: 'board', avatar, boat: places[to] };
+    });
+  }
+
+  /**
+   * @description Counts how many undos lead back to a winnable position.
+   * Only voyages change which side avatars are on, so the search steps back
+   * one voyage at a time.
+   * @returns {number|null} Number of undos, or null if none is winnable
+   */
+  findWinnableUndoDepth() {
+    const state = this.getSolverState();
+    const shores = this.config.getShores();
+    const commands = this.history.getUndoStack().reverse();
+
+    for (let i = 0; i < commands.length; i++) {
+      const command = commands[i];
+      if (!(command instanceof VoyageCommand)) continue;
+
+      // Send the voyage's passengers back to where they left from
+      const from = state.sides[shores.indexOf(command.from)];
+      const to = state.sides[shores.indexOf(command.to)];
+      command.passengers.forEach((avatar) => {
+        const index = this.solver.getClassIndex(avatar);
+        from[index]++;
+        to[index]--;
+      });
+      state.boatLocations[this.boats.indexOf(command.boat)] = command.from;
+      state.time -= command.duration;
+
+      if (this.solver.solve(state).solvable) {
+        return i + 1;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {SolverState} Avatar counts on each shore, where the boats are
+   * and river time so far, for the solver
+   */
+  getSolverState() {
+    const sides = this.docks.map((dock) => {
+      const counts = this.solver.classes.map(() => 0);
+      this.getShoreAvatars(dock.location).forEach((avatar) => {
+        counts[this.solver.getClassIndex(avatar)]++;
+      });
+      return counts;
+    });
+    return {
+      sides,
+      boatLocations: this.boats.map((boat) => boat.location),
+      time: this.riverTime,
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} location - Shore to look at
+   * @returns {Array<Avatar>} Avatars on its dock and in the boats docked
+   * there
+   */
+  getShoreAvatars(location) {
+    const avatars = this.getDockByLocation(location).getPassengers();
+    this.boats
+      .filter((boat) => boat.location === location)
+      .forEach((boat) => avatars.push(...boat.getPassengers()));
+    return avatars;
+  }
+
+  /**
+   * @param {Array<Avatar>} [avatars] - Avatars across the river (default:
+   * those at the destination now)
+   * @returns {boolean} True if they are exactly the avatars of each species
+   * the game started with
+   */
+  isEveryoneAcross(avatars = this.getShoreAvatars(Location.DESTINATION)) {
+    const counts = this.puzzle.countSpecies(avatars);
+    return this.puzzle.species.every(
+      (species) =>
+        (counts[species.id] ?? 0) === this.config.getCount(species.id)
+    );
+  }
+
+  /**
+   * @description Checks win/loss conditions
+   */
+  handleGameStatus() {
+    if (this.status !== GameStatus.ONGOING) return;
+
+    this.status = this.evaluateStatus().status;
+    if (this.status !== GameStatus.ONGOING) {
+      this.stopClock();
+    }
+    this.emitOutcome();
+  }
+
+  /**
+   * @description Emits gameWon or gameLost for a finished game
+   */
+  emitOutcome() {
+    if (this.status === GameStatus.WON) {
+      this.emit(GameEvent.GAME_WON, {
+        reason: 'Everyone crossed the river safely',
+        tripCount: this.tripCount,
+        riverTime: this.riverTime,
+        hintsUsed: this.hintsUsed,
+      });
+    } else if (this.status === GameStatus.LOST) {
+      const { dock, avatars } = this.evaluateStatus();
+      if (avatars.length > 0) {
+        this.handleFeast(avatars, dock);
+      } else {
+        this.handleTimeout();
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} True if a timed game used more river time than its
+   * budget, or a countdown game's clock ran out
+   */
+  isOutOfTime() {
+    return (
+      (this.timeBudget !== null && this.riverTime > this.timeBudget) ||
+      this.isClockUp()
+    );
+  }
+
+  /**
+   * @description Starts the clock on the player's first move. After an undo
+   * out of a loss, or in a restored game, the next move picks it up again.
+   */
+  startClock() {
+    if (this.clockStart !== null || this.status !== GameStatus.ONGOING) return;
+
+    this.clockStart = Date.now();
+    this.emit(GameEvent.CLOCK_STARTED);
+  }
+
+  /**
+   * @description Stops the clock, keeping the time so far
+   */
+  stopClock() {
+    if (this.clockStart === null) return;
+
+    this.clockElapsed = this.getElapsedTime();
+    this.clockStart = null;
+    this.emit(GameEvent.CLOCK_STOPPED);
+  }
+
+  /**
+   * @returns {number} Milliseconds on the clock
+   */
+  getElapsedTime() {
+    const running = this.clockStart === null ? 0 : Date.now() - this.clockStart;
+    return this.clockElapsed + running;
+  }
+
+  /**
+   * @returns {number|null} Milliseconds left in a countdown game, or null
+   * if the clock counts up
+   */
+  getRemainingTime() {
+    if (this.clockLimit === null) return null;
+    return Math.max(0, this.clockLimit * 1000 - this.getElapsedTime());
+  }
+
+  /**
+   * @returns {boolean} True if a countdown game's clock ran out
+   */
+  isClockUp() {
+    return this.getRemainingTime() === 0;
+  }
+
+  /**
+   * @description Loses a countdown game whose clock ran out, even with a
+   * boat on the river. Called as the clock ticks.
+   */
+  checkClock() {
+    if (this.status !== GameStatus.ONGOING || !this.isClockUp()) return;
+
+    this.status = GameStatus.LOST;
+    this.stopClock();
+    this.handleTimeout();
+    this.emit(GameEvent.STATE_CHANGED);
+  }
+
+  /**
+   * @description Works out win/loss conditions for the current position
+   * without changing anything
+   * @returns {{status: string, dock: Dock|null, avatars: Array<Avatar>}}
+   * Game status, plus the unbalanced place on a loss (dock is null when it
+   * is the boat, and avatars is empty when time ran out)
+   */
+  evaluateStatus() {
+    // Check win condition: every avatar of every species across. The state
+    // can still be edited from the console, so results that count are
+    // replayed by ResultVerifier instead of trusted.
+    if (!this.isOutOfTime() && this.isEveryoneAcross()) {
+      return { status: GameStatus.WON, dock: null, avatars: [] };
+    }
+
+    // Check loss conditions. The selected boat is the one that last rowed.
+    for (const checkpoint of this.ruleSet.getCheckpoints(this.boat.location)) {
+      const boatLocations = this.boats.map((boat) =>
+        boat === this.boat ? checkpoint : boat.location
+      );
+      for (const group of this.ruleSet.getGroups(
+        boatLocations,
+        this.config.getShores()
+      )) {
+        const avatars = this.getGroupAvatars(group);
+        if (!this.isBalanced(avatars)) {
+          const dock = group.withDock
+            ? this.getDockByLocation(group.location)
+            : null;
+          return { status: GameStatus.LOST, dock, avatars };
+        }
+      }
+    }
+    if (this.isOutOfTime()) {
+      return { status: GameStatus.LOST, dock: null, avatars: [] };
+    }
+
+    return { status: GameStatus.ONGOING, dock: null, avatars: [] };
+  }
+
+  /**
+   * @param {Group} group - Group from the rule set
+   * @returns {Array<Avatar>} Avatars in the group
+   */
+  getGroupAvatars(group) {
+    const avatars = group.withDock
+      ? this.getDockByLocation(group.location).getPassengers()
+      : [];
+    group.boats.forEach((index) => {
+      avatars.push(...this.boats[index].getPassengers());
+    });
+    return avatars;
+  }
+
+  /**
+   * @param {Array<Avatar>} avatars - Avatars in one place
+   * @returns {boolean} True if nobody gets eaten there
+   */
+  isBalanced(avatars) {
+    return this.puzzle.isSafe(this.puzzle.countSpecies(avatars));
+  }
+
+  /**
+   * @description Emits gameLost with the predators and prey in the
+   * unbalanced place. An avatar that is eaten counts as prey even if it
+   * would eat something else.
+   * @param {Array<Avatar>} avatars - Avatars where the feast occurs
+   * @param {Dock|null} dock - Dock where the feast occurs, or null for the boat
+   */
+  handleFeast(avatars, dock) {
+    const feasts = this.puzzle.findFeasts(this.puzzle.countSpecies(avatars));
+    const preyIds = feasts.map((feast) => feast.prey.id);
+    const predatorIds = feasts
+      .map((feast) => feast.predator.id)
+      .filter((id) => !preyIds.includes(id));
+    const preyList = avatars.filter((avatar) =>
+      preyIds.includes(avatar.getType())
+    );
+    const predatorList = avatars.filter((avatar) =>
+      predatorIds.includes(avatar.getType())
+    );
+    const place = dock
+      ? `at the ${this.config.getShoreName(dock.location)} dock`
+      : 'on the boat';
+
+    this.emit(GameEvent.GAME_LOST, {
+      reason: `${this.puzzle.describeFeast(feasts[0])} ${place}`,
+      dock,
+      predators: predatorList,
+      prey: preyList,
+      tripCount: this.tripCount,
+      riverTime: this.riverTime,
+      hintsUsed: this.hintsUsed,
+    });
+  }
+
+  /**
+   * @description Emits gameLost for a timed game that ran over its budget,
+   * or a countdown game whose clock ran out
+   */
+  handleTimeout() {
+    this.emit(GameEvent.GAME_LOST, {
+      reason: this.isClockUp()
+        ? `The clock ran out after ${this.clockLimit} seconds`
+        : `River time ${this.riverTime} is over the budget of ${this.timeBudget}`,
+      dock: null,
+      predators: [],
+      prey: [],
+      tripCount: this.tripCount,
+      riverTime: this.riverTime,
+      hintsUsed: this.hintsUsed,
+    });
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      config: this.config,
+      status: this.status,
+      tripCount: this.tripCount,
+      riverTime: this.riverTime,
+      hintsUsed: this.hintsUsed,
+      clockElapsed: this.getElapsedTime(),
+      // Replayed on load, so undo, replay and export reach the first move
+      moves: this.history
+        .getUndoStack()
+        .map((command) => Transcript.commandToMove(command)),
+      avatars: this.avatars,
+      dockOrigin: this.dockOrigin,
+      islands: this.docks.slice(1, -1),
+      dockDestination: this.dockDestination,
+      boats: this.boats,
+      // The boat on the river, if any, is always the selected one
+      selectedBoat: this.boats.indexOf(this.boat),
+      // Where a boat on the river is heading, so the voyage can finish
+      voyage: this.pendingVoyage && {
+        from: this.pendingVoyage.from,
+        to: this.pendingVoyage.to,
+      },
+    };
+  }
+
+  /**
+   * @static
+   * @description Rebuilds a game from toJSON() output. A voyage that was on
+   * the river is kept in pendingVoyage; call resumeVoyage() to announce it
+   * or completeVoyage() to land it.
+   * @param {Object} data - Output of toJSON()
+   * @returns {Game} New game holding the restored state
+   */
+  static fromJSON(data) {
+    // Saves from before puzzles existed keep the config at the top level
+    const config = GameConfig.fromJSON(data.config ?? data);
+    const game =
+      Game.fromMoves(config, data) ?? Game.fromSnapshot(config, data);
+    game.status = data.status;
+    game.hintsUsed = data.hintsUsed ?? 0;
+    // The clock stays stopped until the next move
+    game.clockElapsed = data.clockElapsed ?? 0;
+    return game;
+  }
+
+  /**
+   * @static
+   * @private
+   * @description Replays the saved moves on a new game, so its history
+   * holds every move made before the save
+   * @param {GameConfig} config - Saved game setup
+   * @param {Object} data - Output of toJSON()
+   * @returns {Game|null} Game at the saved position, or null if the save
+   * has no moves or they no longer replay
+   */
+  static fromMoves(config, data) {
+    if (!Array.isArray(data.moves)) return null;
+
+    const game = new Game(config);
+    game.initialize();
+    if (data.moves.some((move) => game.applyMove(move) !== null)) {
+      game.destroy();
+      return null;
+    }
+    game.boat = game.boats[data.selectedBoat ?? 0] ?? game.boat;
+    if (data.voyage) {
+      game.launchVoyage(data.voyage.to);
+    }
+    return game;
+  }
+
+  /**
+   * @static
+   * @private
+   * @description Restores the saved places of everyone, for saves from
+   * before moves were kept. Undo can't reach past the save.
+   * @param {GameConfig} config - Saved game setup
+   * @param {Object} data - Output of toJSON()
+   * @returns {Game} Game at the saved position
+   */
+  static fromSnapshot(config, data) {
+    const game = new Game(config);
+    game.tripCount = data.tripCount;
+    game.riverTime = data.riverTime ?? 0;
+
+    game.avatars = data.avatars.map((avatar) => Avatar.fromJSON(avatar));
+    const avatarsById = new Map(
+      game.avatars.map((avatar) => [avatar.getId(), avatar])
+    );
+    game.setDocks([
+      Dock.fromJSON(data.dockOrigin, avatarsById),
+      ...(data.islands ?? []).map((dock) => Dock.fromJSON(dock, avatarsById)),
+      Dock.fromJSON(data.dockDestination, avatarsById),
+    ]);
+    // Saves from before multiple boats hold a single boat
+    game.boats = (data.boats ?? [data.boat]).map((boat) =>
+      Boat.fromJSON(boat, avatarsById, game.rowingRule)
+    );
+    game.boat = game.boats[data.selectedBoat ?? 0];
+
+    if (data.voyage) {
+      // The trip and its time were already counted when the boat left
+      game.pendingVoyage = new VoyageCommand(
+        game,
+        game.boat,
+        data.voyage.from,
+        data.voyage.to,
+        data.tripCount - 1,
+        game.riverTime - game.boat.getCrossingTime()
+      );
+    }
+    return game;
+  }
+
+  /**
+   * @param {string|number} id - Avatar ID
+   * @returns {Avatar|undefined} Avatar with matching ID
+   */
+  getAvatarById(id) {
+    return this.avatars.find((avatar) => avatar.getId() === id);
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to look up
+   * @returns {Boat|null} Boat the avatar is aboard, or null if it is on a
+   * dock
+   */
+  getBoatOf(avatar) {
+    return this.boats.find((boat) => boat.hasPassenger(avatar)) ?? null;
+  }
+
+  /**
+   * @param {string} location - Location to search
+   * @returns {Dock|null} Dock at specified location
+   */
+  getDockByLocation(location) {
+    return this.docks.find((dock) => dock.location === location) ?? null;
+  }
+}
@@ -0,0 +1,245 @@
+import {
+  Location,
+  AvatarType,
+  PuzzleId,
+  RuleSetId,
+  CapacityMode,
+} from '../enums.js';
+import { Avatar } from './Avatar.js';
+import { Puzzle } from './Puzzle.js';
+import { RuleSet } from './RuleSet.js';
+import { RowingRule } from './RowingRule.js';
+
+const ISLAND_PREFIX = 'island-';
+
+/**
+ * Largest setup a player may ask for. Moves and solver searches grow with
+ * every avatar, island and boat, so setups past these would hang the page
+ * or the verification server.
+ */
+export const CONFIG_LIMITS = Object.freeze({
+  count: 20, // Avatars of one species
+  boatCapacity: 20,
+  islands: 3,
+  boats: 4,
+});
+
+/**
+ * @class GameConfig
+ * @description Everything needed to set up a game. Anything left out comes
+ * from the puzzle's defaults.
+ */
+export class GameConfig {
+  /**
+   * @param {Object} [options]
+   * @param {Puzzle} [options.puzzle] - Puzzle to play (default: monsters &
+   * humans)
+   * @param {Object<string, number>} [options.counts] - Avatars per species id
+   * @param {number} [options.boatCapacity] - Boat maximum capacity
+   * @param {Array<number>} [options.boatCapacities] - Maximum capacity of
+   * each boat when there are several (default: one boat of boatCapacity)
+   * @param {string} [options.capacityMode] - Whether boatCapacity counts
+   * heads or weight (default: heads)
+   * @param {boolean} [options.timed] - Voyages take the time of their slowest
+   * passenger and river time is scored
+   * @param {number|null} [options.timeBudget] - River time allowed in a
+   * timed game, or null for no limit
+   * @param {number|null} [options.clockLimit] - Seconds on a countdown
+   * clock, or null for a clock that counts up
+   * @param {RuleSet} [options.ruleSet] - Rules deciding which places are
+   * checked (default: classic)
+   * @param {RowingRule} [options.rowingRule] - Who may row
+   * @param {number} [options.islands] - Islands between the banks, each with
+   * its own dock (default: none)
+   * @param {Object<string, number>} [options.dockCapacities] - Most avatars
+   * the dock at each shore location holds. Docks left out hold everyone.
+   * @param {string|null} [options.levelId] - LevelId of the campaign level
+   * this setup comes from, or null outside the campaign
+   * @param {string|null} [options.dailyId] - Id of the daily challenge this
+   * setup comes from, or null
+   */
+  constructor({
+    puzzle = Puzzle.get(PuzzleId.MONSTERS_AND_HUMANS),
+    counts = puzzle.counts,
+    boatCapacity = puzzle.boatCapacity,
+    boatCapacities = [boatCapacity],
+    capacityMode = CapacityMode.HEAD_COUNT,
+    timed = puzzle.timed,
+    timeBudget = timed ? puzzle.timeBudget : null,
+    clockLimit = null,
+    ruleSet = RuleSet.get(RuleSetId.CLASSIC),
+    rowingRule = puzzle.rowingRule,
+    islands = 0,
+    dockCapacities = {},
+    levelId = null,
+    dailyId = null,
+  } = {}) {
+    this.puzzle = puzzle;
+    this.counts = counts;
+    this.boatCapacities = boatCapacities;
+    this.boatCapacity = boatCapacities[0];
+    this.capacityMode = capacityMode;
+    this.timed = timed;
+    this.timeBudget = timed ? timeBudget : null;
+    this.clockLimit = clockLimit;
+    this.ruleSet = ruleSet;
+    this.rowingRule = rowingRule;
+    this.islands = islands;
+    this.dockCapacities = dockCapacities;
+    this.levelId = levelId;
+    this.dailyId = dailyId;
+  }
+
+  /**
+   * @param {string} speciesId - Species id
+   * @returns {number} Avatars of this species in the game
+   */
+  getCount(speciesId) {
+    return this.counts[speciesId] ?? 0;
+  }
+
+  /**
+   * @returns {number} Avatars in the game
+   */
+  getTotalAvatars() {
+    return this.puzzle.species.reduce(
+      (total, species) => total + this.getCount(species.id),
+      0
+    );
+  }
+
+  /**
+   * @returns {Array<string>} Locations with a dock, from the origin bank
+   * over the islands (e.g. "island-1") to the destination bank
+   */
+  getShores() {
+    const islands = Array.from(
+      { length: this.islands },
+      (_, i) => `${ISLAND_PREFIX}${i + 1}`
+    );
+    return [Location.ORIGIN, ...islands, Location.DESTINATION];
+  }
+
+  /**
+   * @param {string} location - Shore the boat is at
+   * @returns {Array<string>} Shores the boat can row to from there, the next
+   * one downstream first
+   */
+  getAdjacentShores(location) {
+    const shores = this.getShores();
+    const index = shores.indexOf(location);
+    if (index === -1) return [];
+    return [shores[index + 1], shores[index - 1]].filter(Boolean);
+  }
+
+  /**
+   * @param {string} location - Shore location
+   * @returns {string} Name for messages, e.g. "origin" or "island 1"
+   */
+  getShoreName(location) {
+    return location.startsWith(ISLAND_PREFIX)
+      ? `island ${location.slice(ISLAND_PREFIX.length)}`
+      : location;
+  }
+
+  /**
+   * @param {string} location - Shore location
+   * @returns {number} Most avatars its dock holds
+   */
+  getDockCapacity(location) {
+    return this.dockCapacities[location] ?? this.getTotalAvatars();
+  }
+
+  /**
+   * @returns {string|null} Why the dock capacities can't be played, or null
+   * if they can. Everyone starts on the origin dock, so it must hold them.
+   */
+  findDockCapacityError() {
+    const shores = this.getShores();
+    for (const [location, capacity] of Object.entries(this.dockCapacities)) {
+      if (!shores.includes(location)) {
+        return `There is no dock at "${location}"`;
+      }
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        return 'Dock capacities must be positive integers';
+      }
+    }
+    if (this.getDockCapacity(Location.ORIGIN) < this.getTotalAvatars()) {
+      return 'The origin dock must hold everyone at the start';
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Array<Avatar>} Fresh avatars in species order, with ids like
+   * "monster-0" and their species' weight and crossing time
+   */
+  createAvatars() {
+    const avatars = [];
+    this.puzzle.species.forEach((species) => {
+      for (let i = 0; i < this.getCount(species.id); i++) {
+        avatars.push(
+          new Avatar(
+            species.id,
+            `${species.id}-${i}`,
+            species.weight,
+            species.crossingTime
+          )
+        );
+      }
+    });
+    return avatars;
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      puzzle: this.puzzle.id,
+      counts: this.counts,
+      boatCapacity: this.boatCapacity,
+      boatCapacities: this.boatCapacities,
+      capacityMode: this.capacityMode,
+      timed: this.timed,
+      timeBudget: this.timeBudget,
+      clockLimit: this.clockLimit,
+      ruleSet: this.ruleSet.id,
+      rowingRule: this.rowingRule,
+      islands: this.islands,
+      dockCapacities: this.dockCapacities,
+      levelId: this.levelId,
+      dailyId: this.dailyId,
+    };
+  }
+
+  /**
+   * @static
+   * @description Also reads saves from before puzzles existed, which stored
+   * numMonsters and numHumans instead of counts
+   * @param {Object} data - Output of toJSON()
+   * @returns {GameConfig} Restored configuration
+   */
+  static fromJSON(data) {
+    const counts = data.counts ?? {
+      [AvatarType.MONSTER]: data.numMonsters,
+      [AvatarType.HUMAN]: data.numHumans,
+    };
+    return new GameConfig({
+      puzzle: Puzzle.get(data.puzzle ?? PuzzleId.MONSTERS_AND_HUMANS),
+      counts,
+      boatCapacity: data.boatCapacity,
+      boatCapacities: data.boatCapacities,
+      capacityMode: data.capacityMode,
+      timed: data.timed ?? false,
+      timeBudget: data.timeBudget ?? null,
+      clockLimit: data.clockLimit ?? null,
+      ruleSet: RuleSet.get(data.ruleSet ?? RuleSetId.CLASSIC),
+      rowingRule: RowingRule.fromJSON(data.rowingRule),
+      islands: data.islands ?? 0,
+      dockCapacities: data.dockCapacities,
+      levelId: data.levelId ?? null,
+      dailyId: data.dailyId ?? null,
+    });
+  }
+}
@@ -0,0 +1,197 @@
+import { GameStatus } from '../enums.js';
+import { ResultVerifier } from './ResultVerifier.js';
+import { Transcript } from './Transcript.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Uuid of the game
+ * @property {string} finishedAt - When it ended, as an ISO date
+ * @property {string} setup - Transcript header naming the setup, e.g.
+ * "MNM 3/3/2 strict"
+ * @property {Object} config - Output of GameConfig.toJSON()
+ * @property {string} outcome - GameStatus.WON or GameStatus.LOST
+ * @property {string} reason - Why the game ended
+ * @property {number} trips - Boat trips made
+ * @property {number|null} optimalTrips - Fewest trips that win the setup,
+ * or null if it can't be won
+ * @property {number} time - Milliseconds on the clock
+ * @property {number} riverTime - River time used
+ * @property {number} hintsUsed - Hints asked for
+ * @property {string} transcript - Moves in MNM notation
+ * @property {boolean} verified - True if replaying the moves backs the
+ * result. Only a hint: the verification server replays them again before
+ * signing a token.
+ */
+
+/**
+ * @typedef {Object} SetupSummary
+ * @property {string} setup - Transcript header naming the setup
+ * @property {number} games - Finished games
+ * @property {number} wins - Games won
+ * @property {number|null} bestTrips - Fewest trips in a win
+ * @property {number|null} bestTime - Quickest win, in milliseconds
+ * @property {number|null} averageTrips - Mean trips of the wins
+ * @property {number|null} optimalTrips - Fewest trips that win the setup
+ */
+
+// CSV columns, in order
+const CSV_FIELDS = [
+  'finishedAt',
+  'setup',
+  'outcome',
+  'reason',
+  'trips',
+  'optimalTrips',
+  'time',
+  'riverTime',
+  'hintsUsed',
+  'transcript',
+];
+
+/**
+ * @param {*} value - Cell value
+ * @returns {string} Value quoted for CSV if it needs to be
+ */
+function toCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * @class GameHistory
+ * @description Keeps every finished game in localStorage, newest last, and
+ * sums them up per setup
+ */
+export class GameHistory {
+  /**
+   * @param {string} key - localStorage key to save under
+   * @param {number} limit - Most games kept; the oldest are dropped first
+   */
+  constructor(key = 'monks-n-monsters:history', limit = 500) {
+    this.key = key;
+    this.limit = limit;
+    this.entries = this.load();
+  }
+
+  /**
+   * @static
+   * @param {Game} game - Game that just ended
+   * @param {string} reason - Why it ended, from gameWon or gameLost
+   * @returns {HistoryEntry} Entry describing it
+   */
+  static createEntry(game, reason) {
+    const transcript = Transcript.fromGame(game);
+    const entry = {
+      id: game.uuid,
+      finishedAt: new Date().toISOString(),
+      setup: transcript.formatHeader(),
+      config: game.config.toJSON(),
+      outcome: game.status,
+      reason,
+      trips: game.tripCount,
+      optimalTrips: game.solver.solve().trips,
+      time: game.getElapsedTime(),
+      riverTime: game.riverTime,
+      hintsUsed: game.hintsUsed,
+      transcript: transcript.toString(),
+    };
+    return { ...entry, verified: ResultVerifier.verify(entry).valid };
+  }
+
+  /**
+   * @private
+   * @returns {Array<HistoryEntry>} Saved entries, or none if nothing usable
+   * is saved
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) ?? [];
+    } catch (error) {
+      console.error('Could not load game history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(this.entries));
+    } catch (error) {
+      // Private mode or full storage: history lasts until the page closes
+      console.error('Could not save game history:', error);
+    }
+  }
+
+  /**
+   * @description Adds a finished game. A game that ends again after an
+   * undo replaces its earlier entry.
+   * @param {HistoryEntry} entry - Entry from createEntry()
+   */
+  record(entry) {
+    this.entries = this.entries.filter(({ id }) => id !== entry.id);
+    this.entries.push(entry);
+    this.entries = this.entries.slice(-this.limit);
+    this.save();
+  }
+
+  /**
+   * @description Forgets every game
+   */
+  clear() {
+    this.entries = [];
+    localStorage.removeItem(this.key);
+  }
+
+  /**
+   * @returns {Array<SetupSummary>} One summary per setup, most played first
+   */
+  getSummaries() {
+    const bySetup = new Map();
+    this.entries.forEach((entry) => {
+      if (!bySetup.has(entry.setup)) bySetup.set(entry.setup, []);
+      bySetup.get(entry.setup).push(entry);
+    });
+
+    return [...bySetup.entries()]
+      .map(([setup, entries]) => {
+        const wins = entries.filter(
+          ({ outcome }) => outcome === GameStatus.WON
+        );
+        const trips = wins.map((entry) => entry.trips);
+        return {
+          setup,
+          games: entries.length,
+          wins: wins.length,
+          bestTrips: wins.length ? Math.min(...trips) : null,
+          bestTime: wins.length
+            ? Math.min(...wins.map((entry) => entry.time))
+            : null,
+          averageTrips: wins.length
+            ? trips.reduce((sum, value) => sum + value, 0) / wins.length
+            : null,
+          optimalTrips: entries[entries.length - 1].optimalTrips,
+        };
+      })
+      .sort((a, b) => b.games - a.games);
+  }
+
+  /**
+   * @returns {string} Every entry as pretty-printed JSON
+   */
+  toJSONText() {
+    return JSON.stringify(this.entries, null, 2);
+  }
+
+  /**
+   * @returns {string} Every entry as CSV with a header row. Times are in
+   * milliseconds.
+   */
+  toCSV() {
+    const rows = this.entries.map((entry) =>
+      CSV_FIELDS.map((field) => toCsvCell(entry[field])).join(',')
+    );
+    return [CSV_FIELDS.join(','), ...rows].join('\n');
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * @class GameStorage
+ * @description Saves and loads a serialized game in localStorage
+ */
+export class GameStorage {
+  /**
+   * @param {string} key - localStorage key to save under
+   */
+  constructor(key) {
+    this.key = key;
+  }
+
+  /**
+   * @param {Game} game - Game to save
+   */
+  save(game) {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(game));
+    } catch (error) {
+      // Private mode or full storage: the game just won't be resumable
+      console.error('Could not save game:', error);
+    }
+  }
+
+  /**
+   * @returns {Object|null} Serialized game, or null if nothing usable is saved
+   */
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.key));
+      return typeof data === 'object' ? data : null;
+    } catch (error) {
+      console.error('Could not load saved game:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @description Forgets the saved game
+   */
+  clear() {
+    localStorage.removeItem(this.key);
+  }
+}
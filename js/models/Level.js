@@ -0,0 +1,249 @@
+import {
+  AvatarType,
+  CapacityMode,
+  LevelId,
+  PuzzleId,
+  RowerType,
+  RuleSetId,
+} from '../enums.js';
+import { GameConfig } from './GameConfig.js';
+import { Puzzle } from './Puzzle.js';
+import { RuleSet } from './RuleSet.js';
+import { RowingRule } from './RowingRule.js';
+import { Solver } from './Solver.js';
+
+/**
+ * @typedef {Object} LevelOptions
+ * @property {string} id - LevelId value
+ * @property {string} name - Title on the level select screen
+ * @property {string} description - One-line summary of the twist
+ * @property {Object} config - GameConfig options for the level. Levels
+ * are scored on trips, so they are never timed.
+ */
+
+/**
+ * @class Level
+ * @description One step of the campaign: a fixed setup with a par trip
+ * count from the solver. Levels are played in registration order.
+ */
+export class Level {
+  static #presets = new Map();
+
+  /**
+   * @param {LevelOptions} options - Level definition
+   */
+  constructor({ id, name, description, config }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.config = config;
+    this.par = null;
+  }
+
+  /**
+   * @static
+   * @param {Level} level - Level to append to the campaign
+   */
+  static register(level) {
+    Level.#presets.set(level.id, level);
+  }
+
+  /**
+   * @static
+   * @param {string} id - LevelId value
+   * @returns {Level|undefined} Registered level with this id
+   */
+  static get(id) {
+    return Level.#presets.get(id);
+  }
+
+  /**
+   * @static
+   * @returns {Array<Level>} Registered levels in campaign order
+   */
+  static getAll() {
+    return [...Level.#presets.values()];
+  }
+
+  /**
+   * @returns {number} Position in the campaign, from 1
+   */
+  getNumber() {
+    return Level.getAll().indexOf(this) + 1;
+  }
+
+  /**
+   * @returns {Level|null} Level after this one, or null for the last
+   */
+  getNext() {
+    return Level.getAll()[this.getNumber()] ?? null;
+  }
+
+  /**
+   * @returns {GameConfig} Fresh setup tagged with this level's id
+   */
+  createConfig() {
+    return new GameConfig({ ...this.config, levelId: this.id });
+  }
+
+  /**
+   * @description Solved on first use, then remembered
+   * @returns {number} Fewest trips that win the level
+   */
+  getPar() {
+    this.par ??= new Solver(this.createConfig()).solve().trips;
+    return this.par;
+  }
+
+  /**
+   * @param {number} trips - Trips a win took
+   * @returns {number} 3 stars at par, 2 within half as many trips again,
+   * otherwise 1
+   */
+  getStars(trips) {
+    const par = this.getPar();
+    if (trips <= par) return 3;
+    if (trips <= par + Math.ceil(par / 2)) return 2;
+    return 1;
+  }
+}
+
+const monstersAndHumans = (monsters, humans, options = {}) => ({
+  counts: { [AvatarType.MONSTER]: monsters, [AvatarType.HUMAN]: humans },
+  ...options,
+});
+
+// A one-seat boat can never come back once its rower lands, so the
+// campaign opens with 1/1 and a boat of 2
+Level.register(
+  new Level({
+    id: LevelId.FIRST_CROSSING,
+    name: 'First Crossing',
+    description: 'One monster, one human, one boat. Off you go',
+    config: monstersAndHumans(1, 1, { boatCapacity: 2 }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.TWO_BY_TWO,
+    name: 'Two by Two',
+    description: 'Someone has to row back',
+    config: monstersAndHumans(2, 2, { boatCapacity: 2 }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.THE_CLASSIC,
+    name: 'The Classic',
+    description: 'Three of each and a boat of two',
+    config: monstersAndHumans(3, 3, { boatCapacity: 2 }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.FARMERS_ERRAND,
+    name: "Farmer's Errand",
+    description: 'Only the farmer rows, and nobody else can be trusted',
+    config: { puzzle: Puzzle.get(PuzzleId.WOLF_GOAT_CABBAGE) },
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.BIGGER_BOAT,
+    name: 'Bigger Boat',
+    description: 'Four of each, three to a boat',
+    config: monstersAndHumans(4, 4, { boatCapacity: 3 }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.SAFE_ABOARD,
+    name: 'Safe Aboard',
+    description: 'Only the docks are checked; passengers never count',
+    config: monstersAndHumans(3, 3, {
+      boatCapacity: 2,
+      ruleSet: RuleSet.get(RuleSetId.DOCKS_ONLY),
+    }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.STRICT_WATERS,
+    name: 'Strict Waters',
+    description: 'The boat is checked on its own mid-river too',
+    config: monstersAndHumans(3, 3, {
+      boatCapacity: 2,
+      ruleSet: RuleSet.get(RuleSetId.STRICT),
+    }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.CHOSEN_ROWERS,
+    name: 'Chosen Rowers',
+    description: 'Only the first human and the first monster can row',
+    config: monstersAndHumans(3, 3, {
+      boatCapacity: 2,
+      rowingRule: new RowingRule(RowerType.NAMED, [
+        `${AvatarType.HUMAN}-0`,
+        `${AvatarType.MONSTER}-0`,
+      ]),
+    }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.HEAVY_LOAD,
+    name: 'Heavy Load',
+    description: 'The boat carries weight 4, and the farmer weighs 2',
+    config: {
+      puzzle: Puzzle.get(PuzzleId.WOLF_GOAT_CABBAGE),
+      boatCapacity: 4,
+      capacityMode: CapacityMode.WEIGHT,
+    },
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.JEALOUS_HUSBANDS,
+    name: 'Jealous Husbands',
+    description: 'No wife may be with another man without her husband',
+    config: { puzzle: Puzzle.get(PuzzleId.JEALOUS_HUSBANDS) },
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.TWIN_BOATS,
+    name: 'Twin Boats',
+    description: 'Four of each and two boats of two',
+    config: monstersAndHumans(4, 4, { boatCapacities: [2, 2] }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.ISLAND_HOP,
+    name: 'Island Hop',
+    description: 'The boat only reaches the island from either bank',
+    config: monstersAndHumans(3, 3, { boatCapacity: 2, islands: 1 }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.CROWDED_ISLAND,
+    name: 'Crowded Island',
+    description: 'The island dock only has room for one',
+    config: monstersAndHumans(3, 3, {
+      boatCapacity: 2,
+      islands: 1,
+      dockCapacities: { 'island-1': 1 },
+    }),
+  })
+);
+Level.register(
+  new Level({
+    id: LevelId.JEALOUS_ISLAND,
+    name: 'Jealous Island',
+    description: 'The jealous husbands, by way of an island',
+    config: { puzzle: Puzzle.get(PuzzleId.JEALOUS_HUSBANDS), islands: 1 },
+  })
+);
@@ -1,3 +1,5 @@
+import { CapacityMode } from '../enums.js';
+
 /**
  * @class MountObj
  * @description Abstract base class for objects that can hold avatars (Dock and Boat)
@@ -7,13 +9,20 @@ export class MountObj {
   /**
    * @param {number} minCapacity - Minimum capacity (immutable)
    * @param {number} maxCapacity - Maximum capacity (immutable)
+   * @param {string} capacityMode - What maxCapacity limits (immutable,
+   * default: head count)
    */
-  constructor(minCapacity, maxCapacity) {
+  constructor(
+    minCapacity,
+    maxCapacity,
+    capacityMode = CapacityMode.HEAD_COUNT
+  ) {
     if (new.target === MountObj) {
       throw new TypeError('Cannot construct MountObj instances directly');
     }
     this._minCapacity = minCapacity;
     this._maxCapacity = maxCapacity;
+    this._capacityMode = capacityMode;
     this._passengers = [];
   }
 
@@ -31,6 +40,31 @@ export class MountObj {
     return this._maxCapacity;
   }
 
+  /**
+   * @returns {string} CapacityMode value
+   */
+  get capacityMode() {
+    return this._capacityMode;
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to measure
+   * @returns {number} Capacity the avatar takes up
+   */
+  getUnits(avatar) {
+    return this._capacityMode === CapacityMode.WEIGHT ? avatar.getWeight() : 1;
+  }
+
+  /**
+   * @returns {number} Capacity taken up by the passengers
+   */
+  getLoad() {
+    return this._passengers.reduce(
+      (load, avatar) => load + this.getUnits(avatar),
+      0
+    );
+  }
+
   /**
    * @returns {Array<Avatar>} Copy of passengers array
    */
@@ -50,7 +84,7 @@ export class MountObj {
    * @returns {boolean} True if successfully added
    */
   addPassenger(avatar) {
-    if (this.isFull()) {
+    if (!this.canFit(avatar)) {
       return false;
     }
     this._passengers.push(avatar);
@@ -74,7 +108,15 @@ export class MountObj {
    * @returns {boolean} True if at max capacity
    */
   isFull() {
-    return this._passengers.length >= this._maxCapacity;
+    return this.getLoad() >= this._maxCapacity;
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to check
+   * @returns {boolean} True if the avatar fits in the remaining capacity
+   */
+  canFit(avatar) {
+    return this.getLoad() + this.getUnits(avatar) <= this._maxCapacity;
   }
 
   /**
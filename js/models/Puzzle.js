@@ -0,0 +1,353 @@
+import { AvatarType, Predation, Mood, PuzzleId, RowerType } from '../enums.js';
+import { Species } from './Species.js';
+import { RowingRule } from './RowingRule.js';
+
+/**
+ * @typedef {Object} Feast
+ * @property {Species} predator - Species that eats
+ * @property {Species} prey - Species that gets eaten
+ * @property {PredationRule} rule - Rule that applies
+ */
+
+/**
+ * @typedef {Object} PuzzleOptions
+ * @property {string} id - PuzzleId value
+ * @property {string} name - Label for the config modal
+ * @property {string} description - One-line summary of the puzzle
+ * @property {Array<Species>} species - Species in display order
+ * @property {Object<string, number>} counts - Default avatars per species id
+ * @property {boolean} [countsEditable=false] - Player may change the counts
+ * @property {number} [boatCapacity=2] - Default boat capacity
+ * @property {RowingRule} [rowingRule] - Default rowing rule (default: anyone)
+ * @property {boolean} [timed=false] - Played for river time by default
+ * @property {number|null} [timeBudget=null] - Default river time allowed
+ * @property {string} winMessage - Shown when everyone crosses
+ * @property {string} loseMessage - Shown when someone gets eaten
+ */
+
+/**
+ * @class Puzzle
+ * @description A river-crossing puzzle: its species, who eats whom, and
+ * the default setup
+ */
+export class Puzzle {
+  static #presets = new Map();
+
+  /**
+   * @param {PuzzleOptions} options - Puzzle definition
+   */
+  constructor({
+    id,
+    name,
+    description,
+    species,
+    counts,
+    countsEditable = false,
+    boatCapacity = 2,
+    rowingRule = new RowingRule(),
+    timed = false,
+    timeBudget = null,
+    winMessage,
+    loseMessage,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.species = species;
+    this.counts = counts;
+    this.countsEditable = countsEditable;
+    this.boatCapacity = boatCapacity;
+    this.rowingRule = rowingRule;
+    this.timed = timed;
+    this.timeBudget = timeBudget;
+    this.winMessage = winMessage;
+    this.loseMessage = loseMessage;
+  }
+
+  /**
+   * @static
+   * @param {Puzzle} puzzle - Puzzle to make selectable by id
+   */
+  static register(puzzle) {
+    Puzzle.#presets.set(puzzle.id, puzzle);
+  }
+
+  /**
+   * @static
+   * @param {string} id - PuzzleId value
+   * @returns {Puzzle|undefined} Registered puzzle with this id
+   */
+  static get(id) {
+    return Puzzle.#presets.get(id);
+  }
+
+  /**
+   * @static
+   * @returns {Array<Puzzle>} Registered puzzles in registration order
+   */
+  static getAll() {
+    return [...Puzzle.#presets.values()];
+  }
+
+  /**
+   * @param {string} id - Species id (an avatar's type)
+   * @returns {Species|undefined} Species with this id
+   */
+  getSpecies(id) {
+    return this.species.find((species) => species.id === id);
+  }
+
+  /**
+   * @param {Array<Avatar>} avatars - Avatars in one place
+   * @returns {Object<string, number>} Avatars of each species
+   */
+  countSpecies(avatars) {
+    const counts = {};
+    avatars.forEach((avatar) => {
+      counts[avatar.getType()] = (counts[avatar.getType()] ?? 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * @param {Object<string, number>} counts - Avatars of each species in
+   * one place
+   * @returns {Array<Feast>} Every predation rule that fires there
+   */
+  findFeasts(counts) {
+    const feasts = [];
+    this.species.forEach((predator) => {
+      predator.eats.forEach((rule) => {
+        if (predator.isFeasting(rule, counts)) {
+          feasts.push({ predator, prey: this.getSpecies(rule.prey), rule });
+        }
+      });
+    });
+    return feasts;
+  }
+
+  /**
+   * @param {Object<string, number>} counts - Avatars of each species in
+   * one place
+   * @returns {boolean} True if nobody gets eaten there
+   */
+  isSafe(counts) {
+    return this.findFeasts(counts).length === 0;
+  }
+
+  /**
+   * @param {Feast} feast - Feast to describe
+   * @returns {string} e.g. "Monsters outnumber humans"
+   */
+  describeFeast({ predator, prey, rule }) {
+    if (rule.when === Predation.OUTNUMBERED) {
+      const predators = predator.plural;
+      return `${predators[0].toUpperCase()}${predators.slice(1)} outnumber ${
+        prey.plural
+      }`;
+    }
+    return `The ${predator.name} was left with the ${prey.name}`;
+  }
+}
+
+Puzzle.register(
+  new Puzzle({
+    id: PuzzleId.MONSTERS_AND_HUMANS,
+    name: 'Monsters & Humans',
+    description: 'Monsters eat humans whenever they outnumber them',
+    species: [
+      new Species({
+        id: AvatarType.MONSTER,
+        name: 'monster',
+        emoji: '👹',
+        sprite: 'monster',
+        weight: 1,
+        crossingTime: 1,
+        moods: {
+          [Mood.HAPPY]: '😈',
+          [Mood.FEAST]: '😈',
+          [Mood.SATISFIED]: '👹',
+        },
+        eats: [{ prey: AvatarType.HUMAN, when: Predation.OUTNUMBERED }],
+      }),
+      new Species({
+        id: AvatarType.HUMAN,
+        name: 'human',
+        emoji: '😐',
+        sprite: 'human',
+        weight: 2,
+        crossingTime: 2,
+        moods: {
+          [Mood.HORRIFIED]: '😱',
+          [Mood.DECEASED]: '🍖',
+          [Mood.SKULL]: '💀',
+        },
+      }),
+    ],
+    counts: { [AvatarType.MONSTER]: 3, [AvatarType.HUMAN]: 3 },
+    countsEditable: true,
+    winMessage:
+      '🥳🥳🥳🎉 Victory! People safely crossed! People thank you. Monsters hate you.',
+    loseMessage: 'Game Over! The monsters feasted!',
+  })
+);
+
+Puzzle.register(
+  new Puzzle({
+    id: PuzzleId.WOLF_GOAT_CABBAGE,
+    name: 'Wolf, Goat & Cabbage',
+    description:
+      'Only the farmer rows. Left alone, the wolf eats the goat and the goat eats the cabbage',
+    species: [
+      new Species({
+        id: 'farmer',
+        name: 'farmer',
+        emoji: '👨‍🌾',
+        color: '#795548',
+        weight: 2,
+      }),
+      new Species({
+        id: 'wolf',
+        name: 'wolf',
+        plural: 'wolves',
+        emoji: '🐺',
+        color: '#607d8b',
+        weight: 2,
+        eats: [
+          { prey: 'goat', when: Predation.UNSUPERVISED, unless: ['farmer'] },
+        ],
+      }),
+      new Species({
+        id: 'goat',
+        name: 'goat',
+        emoji: '🐐',
+        color: '#ff9800',
+        moods: {
+          [Mood.HORRIFIED]: '😱',
+          [Mood.DECEASED]: '🍖',
+          [Mood.SKULL]: '🦴',
+        },
+        eats: [
+          {
+            prey: 'cabbage',
+            when: Predation.UNSUPERVISED,
+            unless: ['farmer'],
+          },
+        ],
+      }),
+      new Species({
+        id: 'cabbage',
+        name: 'cabbage',
+        emoji: '🥬',
+        color: '#8bc34a',
+        moods: { [Mood.DECEASED]: '🍂', [Mood.SKULL]: '🍂' },
+      }),
+    ],
+    counts: { farmer: 1, wolf: 1, goat: 1, cabbage: 1 },
+    rowingRule: new RowingRule(RowerType.NAMED, ['farmer-0']),
+    winMessage: '🎉 Everything made it across in one piece!',
+    loseMessage: 'Game Over! Something got eaten!',
+  })
+);
+
+const COUPLES = ['A', 'B', 'C'];
+
+Puzzle.register(
+  new Puzzle({
+    id: PuzzleId.JEALOUS_HUSBANDS,
+    name: 'Jealous Husbands',
+    description:
+      'No wife may be with another man unless her own husband is there too',
+    species: [
+      ...COUPLES.map(
+        (couple) =>
+          new Species({
+            id: `husband${couple}`,
+            name: `husband ${couple}`,
+            plural: `husbands ${couple}`,
+            emoji: '🤵',
+            badge: couple,
+            color: '#3f51b5',
+            moods: {
+              [Mood.HAPPY]: '😠',
+              [Mood.FEAST]: '😡',
+              [Mood.SATISFIED]: '😤',
+            },
+            eats: COUPLES.filter((other) => other !== couple).map((other) => ({
+              prey: `wife${other}`,
+              when: Predation.UNSUPERVISED,
+              unless: [`husband${other}`],
+            })),
+          })
+      ),
+      ...COUPLES.map(
+        (couple) =>
+          new Species({
+            id: `wife${couple}`,
+            name: `wife ${couple}`,
+            plural: `wives ${couple}`,
+            emoji: '👰',
+            badge: couple,
+            color: '#e91e63',
+            moods: {
+              [Mood.HORRIFIED]: '😳',
+              [Mood.DECEASED]: '😢',
+              [Mood.SKULL]: '💔',
+            },
+          })
+      ),
+    ],
+    counts: Object.fromEntries(
+      COUPLES.flatMap((couple) => [
+        [`husband${couple}`, 1],
+        [`wife${couple}`, 1],
+      ])
+    ),
+    winMessage: '🎉 Everyone crossed and every marriage survived!',
+    loseMessage: 'Game Over! A jealous husband made a scene!',
+  })
+);
+
+Puzzle.register(
+  new Puzzle({
+    id: PuzzleId.BRIDGE_AND_TORCH,
+    name: 'Bridge & Torch',
+    description:
+      'Nobody eats anybody, but everyone rows at their own pace. Get all four across in time',
+    species: [
+      new Species({
+        id: 'sprinter',
+        name: 'sprinter',
+        emoji: '🏃',
+        color: '#4caf50',
+        crossingTime: 1,
+      }),
+      new Species({
+        id: 'walker',
+        name: 'walker',
+        emoji: '🚶',
+        color: '#2196f3',
+        crossingTime: 2,
+      }),
+      new Species({
+        id: 'elder',
+        name: 'elder',
+        emoji: '🧓',
+        color: '#ff9800',
+        crossingTime: 5,
+      }),
+      new Species({
+        id: 'sleeper',
+        name: 'sleeper',
+        emoji: '😴',
+        color: '#9c27b0',
+        crossingTime: 10,
+      }),
+    ],
+    counts: { sprinter: 1, walker: 1, elder: 1, sleeper: 1 },
+    timed: true,
+    timeBudget: 17,
+    winMessage: '🎉 Everyone crossed before time ran out!',
+    loseMessage: 'Game Over! Time ran out!',
+  })
+);
@@ -0,0 +1,224 @@
+import { GameStatus } from '../enums.js';
+import { Game } from './Game.js';
+import { Transcript, TranscriptError } from './Transcript.js';
+
+/**
+ * @typedef {Object} GameResult
+ * @property {string} transcript - Moves in MNM notation
+ * @property {string} outcome - GameStatus.WON or GameStatus.LOST
+ * @property {number} trips - Boat trips made
+ */
+
+/**
+ * @typedef {Object} Verdict
+ * @property {boolean} valid - True if the moves back the result
+ * @property {string|null} reason - Why they don't, or null
+ * @property {GameResult|null} [result] - Result read from a token
+ * @property {string} [token] - Token signed for the result
+ * @property {boolean} [malformed] - True if the token couldn't be read
+ */
+
+// Bytes passed to String.fromCharCode at once, well under the engines'
+// argument limits
+const CHAR_CHUNK = 0x8000;
+
+// Fields of a GameResult, the only ones a token carries. The clock and
+// hint count don't follow from the moves, so nothing can vouch for them.
+const RESULT_FIELDS = ['transcript', 'outcome', 'trips'];
+
+/**
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Their URL-safe base64, unpadded
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += CHAR_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + CHAR_CHUNK));
+  }
+  return btoa(binary)
+    .replaceAll('+', '-')
+    .replaceAll('/', '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - URL-safe base64
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text isn't base64
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replaceAll('-', '+').replaceAll('_', '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {string} reason - Why the result is rejected
+ * @returns {Verdict} Rejection
+ */
+function reject(reason) {
+  return { valid: false, reason };
+}
+
+/**
+ * @param {string} reason - What is wrong with the token
+ * @returns {Verdict} Rejection of a token that can't be read
+ */
+function rejectMalformed(reason) {
+  return {
+    valid: false,
+    reason: `Malformed token: ${reason}`,
+    malformed: true,
+  };
+}
+
+/**
+ * @class ResultVerifier
+ * @description Checks a finished game's result by replaying its moves on a
+ * clean game, and signs results that pass into tokens (HMAC-SHA256) a
+ * leaderboard can check. Only what follows from the moves is checked, not
+ * the hint count or the clock, so a countdown lost on time never verifies.
+ * Signing needs the secret key, so only the verification server signs: the
+ * page can replay a result but never vouch for it.
+ */
+export class ResultVerifier {
+  /**
+   * @param {string} key - Secret signing key
+   * @throws {TypeError} If no key is given
+   */
+  constructor(key) {
+    if (!key) throw new TypeError('A signing key is required');
+    this.key = key;
+    this.cryptoKey = null; // Imported on first use
+  }
+
+  /**
+   * @static
+   * @param {GameResult} result - Claimed result, e.g. a GameHistory entry
+   * @returns {Verdict} Whether replaying the moves ends the same way
+   */
+  static verify(result) {
+    let transcript;
+    try {
+      transcript = Transcript.parse(String(result.transcript ?? ''));
+    } catch (error) {
+      if (!(error instanceof TranscriptError)) throw error;
+      return reject(error.message);
+    }
+
+    // Replay headless on a game nobody else can reach
+    const game = new Game(transcript.config);
+    game.initialize();
+    try {
+      transcript.replay(game);
+      return ResultVerifier.compare(game, result);
+    } catch (error) {
+      if (!(error instanceof TranscriptError)) throw error;
+      return reject(error.message);
+    } finally {
+      game.destroy();
+    }
+  }
+
+  /**
+   * @static
+   * @private
+   * @param {Game} game - Game the moves were replayed on
+   * @param {GameResult} result - Claimed result
+   * @returns {Verdict} Whether the game ended as claimed
+   */
+  static compare(game, result) {
+    if (game.status === GameStatus.ONGOING) {
+      return reject("The moves don't finish the game");
+    }
+    if (game.status !== result.outcome) {
+      return reject(
+        `Claimed ${result.outcome}, but the moves end ${game.status}`
+      );
+    }
+    if (game.tripCount !== result.trips) {
+      return reject(
+        `Claimed ${result.trips} trips, but the moves take ${game.tripCount}`
+      );
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<CryptoKey>} HMAC key made from this.key
+   */
+  async getCryptoKey() {
+    this.cryptoKey ??= await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(this.key),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+    return this.cryptoKey;
+  }
+
+  /**
+   * @param {GameResult} result - Result to sign. Other fields are left out.
+   * @returns {Promise<Verdict>} Verdict, with the token
+   * "<payload>.<signature>" if the moves back the result
+   */
+  async sign(result) {
+    const verdict = ResultVerifier.verify(result);
+    if (!verdict.valid) return verdict;
+
+    const payload = new TextEncoder().encode(
+      JSON.stringify(
+        Object.fromEntries(RESULT_FIELDS.map((field) => [field, result[field]]))
+      )
+    );
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      await this.getCryptoKey(),
+      payload
+    );
+    const mac = toBase64Url(new Uint8Array(signature));
+    return { ...verdict, token: `${toBase64Url(payload)}.${mac}` };
+  }
+
+  /**
+   * @description Checks a token's signature, then replays its moves
+   * @param {string} token - Token from sign()
+   * @returns {Promise<Verdict>} Verdict, with the result it carries
+   */
+  async check(token) {
+    const [payloadText, signatureText, ...rest] = String(token).split('.');
+    if (!payloadText || !signatureText || rest.length > 0) {
+      return rejectMalformed('expected "<payload>.<signature>"');
+    }
+
+    let payload;
+    let signature;
+    try {
+      payload = fromBase64Url(payloadText);
+      signature = fromBase64Url(signatureText);
+    } catch (error) {
+      return rejectMalformed(error.message);
+    }
+    const signed = await crypto.subtle.verify(
+      'HMAC',
+      await this.getCryptoKey(),
+      signature,
+      payload
+    );
+    if (!signed) {
+      return reject("The signature doesn't match");
+    }
+
+    let result;
+    try {
+      result = JSON.parse(new TextDecoder().decode(payload));
+    } catch (error) {
+      return rejectMalformed(error.message);
+    }
+    if (typeof result !== 'object' || result === null) {
+      return rejectMalformed('the payload is not a result');
+    }
+    return { ...ResultVerifier.verify(result), result };
+  }
+}
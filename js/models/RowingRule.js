@@ -0,0 +1,80 @@
+import { AvatarType, RowerType } from '../enums.js';
+
+/**
+ * @class RowingRule
+ * @description Decides which avatars may row. A boat can only leave with at
+ * least one of them aboard.
+ */
+export class RowingRule {
+  /**
+   * @param {string} type - RowerType value
+   * @param {Array<string|number>} rowerIds - Avatars allowed to row when
+   * type is RowerType.NAMED
+   */
+  constructor(type = RowerType.ANYONE, rowerIds = []) {
+    this.type = type;
+    this.rowerIds = rowerIds;
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to check
+   * @returns {boolean} True if the avatar may row
+   */
+  canRow(avatar) {
+    switch (this.type) {
+      case RowerType.HUMANS:
+        return avatar.getType() === AvatarType.HUMAN;
+      case RowerType.NAMED:
+        return this.rowerIds.includes(avatar.getId());
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * @param {Array<Avatar>} passengers - Avatars aboard
+   * @returns {Avatar|null} First passenger who may row, or null
+   */
+  getRower(passengers) {
+    return passengers.find((avatar) => this.canRow(avatar)) ?? null;
+  }
+
+  /**
+   * @param {Array<Avatar>} avatars - Avatars in the game
+   * @returns {string|number|null} First named rower who isn't one of them
+   */
+  findUnknownRower(avatars) {
+    const ids = avatars.map((avatar) => avatar.getId());
+    return this.rowerIds.find((id) => !ids.includes(id)) ?? null;
+  }
+
+  /**
+   * @returns {string} Short summary, e.g. "Humans row"
+   */
+  describe() {
+    switch (this.type) {
+      case RowerType.HUMANS:
+        return 'Humans row';
+      case RowerType.NAMED:
+        return `Rowers: ${this.rowerIds.join(', ')}`;
+      default:
+        return 'Anyone rows';
+    }
+  }
+
+  /**
+   * @returns {Object} Plain object for JSON.stringify
+   */
+  toJSON() {
+    return { type: this.type, rowerIds: this.rowerIds };
+  }
+
+  /**
+   * @static
+   * @param {Object} [data] - Output of toJSON(), missing in older saves
+   * @returns {RowingRule} Restored rule
+   */
+  static fromJSON(data) {
+    return data ? new RowingRule(data.type, data.rowerIds) : new RowingRule();
+  }
+}
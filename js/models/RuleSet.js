@@ -0,0 +1,151 @@
+import { Location, RuleSetId } from '../enums.js';
+
+/**
+ * @typedef {Object} Group
+ * @description Avatars that are checked together for balance
+ * @property {string} location - Where the group is (a dock, or the river)
+ * @property {boolean} withDock - Includes the dock at this location
+ * @property {Array<number>} boats - Indexes of the boats whose passengers
+ * are included
+ */
+
+/**
+ * @typedef {Object} RuleSetOptions
+ * @property {string} id - RuleSetId value
+ * @property {string} name - Label for the config modal
+ * @property {string} description - One-line summary of the rule
+ * @property {boolean} [boatJoinsDock=true] - Boat passengers count toward
+ * the dock the boat is at
+ * @property {boolean} [checksBoat=false] - The boat is also checked on its
+ * own while docked
+ * @property {boolean} [checksMidRiver=false] - Places are also checked while
+ * the boat is on the river
+ */
+
+/**
+ * @class RuleSet
+ * @description Decides which groups of avatars are checked for balance and
+ * when. Works on locations only, so Game (avatars) and Solver (counts) can
+ * share it. Whether a group is balanced is up to the puzzle's species.
+ *
+ * Checks run after every voyage lands. A rule set that checks mid-river also
+ * looks at the places as they were during the crossing, which is the same
+ * board with the boat on the river since passengers stay aboard on arrival.
+ * Boats that did not move are checked where they are docked.
+ */
+export class RuleSet {
+  static #presets = new Map();
+
+  /**
+   * @param {RuleSetOptions} options - Rule set definition
+   */
+  constructor({
+    id,
+    name,
+    description,
+    boatJoinsDock = true,
+    checksBoat = false,
+    checksMidRiver = false,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.boatJoinsDock = boatJoinsDock;
+    this.checksBoat = checksBoat;
+    this.checksMidRiver = checksMidRiver;
+  }
+
+  /**
+   * @static
+   * @param {RuleSet} ruleSet - Rule set to make selectable by id
+   */
+  static register(ruleSet) {
+    RuleSet.#presets.set(ruleSet.id, ruleSet);
+  }
+
+  /**
+   * @static
+   * @param {string} id - RuleSetId value
+   * @returns {RuleSet|undefined} Registered rule set with this id
+   */
+  static get(id) {
+    return RuleSet.#presets.get(id);
+  }
+
+  /**
+   * @static
+   * @returns {Array<RuleSet>} Registered rule sets in registration order
+   */
+  static getAll() {
+    return [...RuleSet.#presets.values()];
+  }
+
+  /**
+   * @param {string} landedAt - Location the boat just arrived at
+   * @returns {Array<string>} Boat locations to check, in the order they
+   * happened
+   */
+  getCheckpoints(landedAt) {
+    return this.checksMidRiver ? [Location.RIVER, landedAt] : [landedAt];
+  }
+
+  /**
+   * @param {Array<string>} boatLocations - Where each boat is
+   * @param {Array<string>} shores - Locations with a dock, islands included
+   * @returns {Array<Group>} Groups to check for balance
+   */
+  getGroups(boatLocations, shores) {
+    const joins = (location) =>
+      this.boatJoinsDock && location !== Location.RIVER;
+    const boatsAt = (location) =>
+      boatLocations.flatMap((boatLocation, i) =>
+        boatLocation === location && joins(boatLocation) ? [i] : []
+      );
+    const groups = shores.map((location) => ({
+      location,
+      withDock: true,
+      boats: boatsAt(location),
+    }));
+
+    boatLocations.forEach((location, i) => {
+      if (this.checksBoat || location === Location.RIVER) {
+        groups.push({ location, withDock: false, boats: [i] });
+      }
+    });
+    return groups;
+  }
+}
+
+RuleSet.register(
+  new RuleSet({
+    id: RuleSetId.CLASSIC,
+    name: 'Classic',
+    description:
+      'No one may be eaten at either dock, counting the boat at its dock',
+  })
+);
+RuleSet.register(
+  new RuleSet({
+    id: RuleSetId.STRICT,
+    name: 'Strict',
+    description: 'Classic, and the boat is also checked on its own mid-river',
+    checksMidRiver: true,
+  })
+);
+RuleSet.register(
+  new RuleSet({
+    id: RuleSetId.DOCKS_ONLY,
+    name: 'Docks only',
+    description: 'Only the docks are checked; boat passengers never count',
+    boatJoinsDock: false,
+  })
+);
+RuleSet.register(
+  new RuleSet({
+    id: RuleSetId.NEVER_OUTNUMBERED,
+    name: 'Never outnumbered',
+    description: 'Strict, and the boat is also checked on its own while docked',
+    checksBoat: true,
+    checksMidRiver: true,
+  })
+);
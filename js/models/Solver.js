@@ -0,0 +1,469 @@
+import { Location, CapacityMode } from '../enums.js';
+import { GameConfig } from './GameConfig.js';
+
+/**
+ * @typedef {Object} AvatarClass
+ * @description Avatars the solver can't tell apart
+ * @property {string} type - Species id
+ * @property {boolean} canRow - Members may row the boat
+ * @property {number} weight - Weight of each member
+ * @property {number} crossingTime - Time each member takes to cross
+ * @property {number} count - Number of avatars in the class
+ */
+
+/**
+ * @typedef {Object} SolverState
+ * @property {Array<Array<number>>} sides - Avatars of each class on each
+ * shore (dock + boat if docked there), in GameConfig.getShores() order
+ * @property {Array<string>} boatLocations - Shore each boat is docked at
+ * @property {number} [time] - River time used so far (default: 0)
+ */
+
+/**
+ * @typedef {Object} Crossing
+ * @property {number} boat - Index of the boat that rows
+ * @property {Array<number>} counts - Avatars of each class aboard
+ * @property {string} from - Departure location
+ * @property {string} to - Arrival location
+ * @property {number} time - Crossing time of the slowest passenger
+ */
+
+/**
+ * @typedef {Object} Solution
+ * @property {boolean} solvable - False if no sequence of voyages wins
+ * @property {number|null} trips - Number of voyages in the solution
+ * @property {number|null} time - River time the voyages take
+ * @property {Array<Crossing>} crossings - Voyages in order (empty if unsolvable)
+ * @property {boolean} [gaveUp] - True if the search hit its crossing limit
+ * before it could tell, so solvable=false says nothing
+ */
+
+/**
+ * @param {boolean} [gaveUp] - True if the search hit its crossing limit
+ * @returns {Solution} Answer of a search that found no way to win
+ */
+function noSolution(gaveUp = false) {
+  return { solvable: false, trips: null, time: null, crossings: [], gaveUp };
+}
+
+/**
+ * @class Solver
+ * @description Breadth-first search over river crossings, or a least-time
+ * search for timed games. Works on avatar counts only and never touches the
+ * DOM. Avatars are grouped into classes by species, weight, crossing time
+ * and whether they may row, since only that matters to the rules.
+ *
+ * Mirrors the rules in Game: boarding and unboarding are free while docked,
+ * places are only checked once a voyage lands, the crossing passengers are
+ * still aboard at that point, and a win is declared before any balance
+ * check. Which places are checked comes from the RuleSet, and who gets
+ * eaten there from the Puzzle. A boat may row to either shore next to it,
+ * so islands are searched like the banks, and with several boats any of
+ * them may make the next voyage.
+ *
+ * A shore holds as many avatars as its dock plus the boats docked there.
+ * Avatars are shuffled between dock and boats one at a time, so a boat can
+ * only load at a shore with a free place left, or two when boats share it.
+ * In a weight-limited game a boat's capacity is taken as its head count,
+ * which may be generous.
+ */
+export class Solver {
+  /**
+   * @param {GameConfig} config - Game setup to solve
+   */
+  constructor(config = new GameConfig()) {
+    this.config = config;
+    this.puzzle = config.puzzle;
+    this.shores = config.getShores();
+    this.boatCapacities = config.boatCapacities;
+    this.dockCapacities = this.shores.map((location) =>
+      config.getDockCapacity(location)
+    );
+    this.capacityMode = config.capacityMode;
+    this.timed = config.timed;
+    this.timeBudget = config.timeBudget;
+    this.ruleSet = config.ruleSet;
+    this.rowingRule = config.rowingRule;
+    this.minCapacity = 1;
+    /** @type {Array<AvatarClass>} */
+    this.classes = [];
+
+    config.createAvatars().forEach((avatar) => {
+      const index = this.getClassIndex(avatar);
+      if (index === -1) {
+        this.classes.push({
+          type: avatar.getType(),
+          canRow: this.rowingRule.canRow(avatar),
+          weight: avatar.getWeight(),
+          crossingTime: avatar.getCrossingTime(),
+          count: 1,
+        });
+      } else {
+        this.classes[index].count++;
+      }
+    });
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to classify
+   * @returns {number} Index into this.classes, or -1 if none matches
+   */
+  getClassIndex(avatar) {
+    const canRow = this.rowingRule.canRow(avatar);
+    return this.classes.findIndex(
+      (avatarClass) =>
+        avatarClass.type === avatar.getType() &&
+        avatarClass.canRow === canRow &&
+        avatarClass.weight === avatar.getWeight() &&
+        avatarClass.crossingTime === avatar.getCrossingTime()
+    );
+  }
+
+  /**
+   * @returns {SolverState} Everyone on the origin side with the boat
+   */
+  getInitialState() {
+    return {
+      sides: this.shores.map((location) =>
+        this.classes.map((avatarClass) =>
+          location === Location.ORIGIN ? avatarClass.count : 0
+        )
+      ),
+      boatLocations: this.boatCapacities.map(() => Location.ORIGIN),
+    };
+  }
+
+  /**
+   * @param {number} index - Index into this.classes
+   * @returns {number} Boat capacity one member of the class takes up
+   */
+  getUnits(index) {
+    return this.capacityMode === CapacityMode.WEIGHT
+      ? this.classes[index].weight
+      : 1;
+  }
+
+  /**
+   * @param {Array<number>} counts - Avatars of each class aboard
+   * @returns {number} Crossing time of the slowest of them
+   */
+  getCrossingTime(counts) {
+    return Math.max(
+      0,
+      ...counts.map((count, i) =>
+        count > 0 ? this.classes[i].crossingTime : 0
+      )
+    );
+  }
+
+  /**
+   * @param {Array<string>} boatLocations - Shore each boat is docked at
+   * @param {number} shoreIndex - Index into this.shores
+   * @returns {number} Avatars the shore's dock and boats hold together
+   */
+  getShoreCapacity(boatLocations, shoreIndex) {
+    return boatLocations.reduce(
+      (capacity, location, b) =>
+        location === this.shores[shoreIndex]
+          ? capacity + this.boatCapacities[b]
+          : capacity,
+      this.dockCapacities[shoreIndex]
+    );
+  }
+
+  /**
+   * @param {Array<number>} counts - Avatars of each class in one place
+   * @returns {Object<string, number>} Avatars of each species there
+   */
+  getSpeciesCounts(counts) {
+    const speciesCounts = {};
+    counts.forEach((count, i) => {
+      const { type } = this.classes[i];
+      speciesCounts[type] = (speciesCounts[type] ?? 0) + count;
+    });
+    return speciesCounts;
+  }
+
+  /**
+   * @param {SolverState} state - State to check
+   * @returns {boolean} True if everyone reached the destination
+   */
+  isWon(state) {
+    return state.sides
+      .slice(0, -1)
+      .every((side) => side.every((count) => count === 0));
+  }
+
+  /**
+   * @param {SolverState} state - State right after the voyage landed
+   * @param {Crossing} crossing - Voyage that led here, still aboard
+   * @returns {boolean} True if no checked place is lost
+   */
+  isSafe(state, crossing) {
+    const boat = crossing.counts;
+    const docks = Object.fromEntries(
+      this.shores.map((location, s) => [
+        location,
+        location === crossing.to
+          ? state.sides[s].map((count, i) => count - boat[i])
+          : state.sides[s],
+      ])
+    );
+    const none = boat.map(() => 0);
+
+    // Boats that did not row are empty: their avatars count as ashore
+    return this.ruleSet.getCheckpoints(crossing.to).every((checkpoint) => {
+      const boatLocations = state.boatLocations.map((location, b) =>
+        b === crossing.boat ? checkpoint : location
+      );
+      return this.ruleSet
+        .getGroups(boatLocations, this.shores)
+        .every((group) => {
+          const dock = group.withDock ? docks[group.location] : none;
+          const aboard = group.boats.includes(crossing.boat) ? boat : none;
+          return this.puzzle.isSafe(
+            this.getSpeciesCounts(dock.map((count, i) => count + aboard[i]))
+          );
+        });
+    });
+  }
+
+  /**
+   * @param {SolverState} state - State before the voyage
+   * @returns {Array<{crossing: Crossing, state: SolverState}>} Legal voyages
+   */
+  getCrossings(state) {
+    const results = [];
+    state.boatLocations.forEach((from, boatIndex) => {
+      const fromIndex = this.shores.indexOf(from);
+      // Avatars on the boat's side, free to board before departure
+      const available = state.sides[fromIndex];
+      const capacity = this.boatCapacities[boatIndex];
+      // With no free place at the shore nobody can change seats, and boats
+      // sharing it need a second one to swap avatars through the dock
+      const crowd = available.reduce((sum, count) => sum + count, 0);
+      const sharing =
+        state.boatLocations.filter((location) => location === from).length > 1;
+      const room = this.getShoreCapacity(state.boatLocations, fromIndex);
+      if (crowd + (sharing ? 1 : 0) >= room) return;
+
+      this.getLoads(available, capacity).forEach((counts) => {
+        const time = this.getCrossingTime(counts);
+        this.config.getAdjacentShores(from).forEach((to) => {
+          const toIndex = this.shores.indexOf(to);
+          const crossing = { boat: boatIndex, counts, from, to, time };
+          const next = {
+            sides: state.sides.map((side, s) => {
+              if (s === fromIndex)
+                return side.map((count, i) => count - counts[i]);
+              if (s === toIndex)
+                return side.map((count, i) => count + counts[i]);
+              return side;
+            }),
+            boatLocations: state.boatLocations.map((location, b) =>
+              b === boatIndex ? to : location
+            ),
+          };
+          if (!this.fits(next, fromIndex) || !this.fits(next, toIndex)) {
+            return;
+          }
+          if (!this.isWon(next) && !this.isSafe(next, crossing)) return;
+
+          results.push({ crossing, state: next });
+        });
+      });
+    });
+    return results;
+  }
+
+  /**
+   * @private
+   * @param {SolverState} state - State after a voyage
+   * @param {number} shoreIndex - Index into this.shores
+   * @returns {boolean} True if the shore's dock and boats hold everyone there
+   */
+  fits(state, shoreIndex) {
+    const crowd = state.sides[shoreIndex].reduce(
+      (sum, count) => sum + count,
+      0
+    );
+    return crowd <= this.getShoreCapacity(state.boatLocations, shoreIndex);
+  }
+
+  /**
+   * @private
+   * @param {Array<number>} available - Avatars of each class free to board
+   * @param {number} capacity - Maximum capacity of the boat
+   * @param {number} [index] - Class to choose a count for
+   * @param {Array<number>} [load] - Counts chosen so far
+   * @returns {Array<Array<number>>} Boat loads within capacity that include
+   * a rower
+   */
+  getLoads(available, capacity, index = 0, load = []) {
+    const total = load.reduce((sum, count) => sum + count, 0);
+    const used = load.reduce(
+      (sum, count, i) => sum + count * this.getUnits(i),
+      0
+    );
+    if (index === available.length) {
+      const hasRower = load.some(
+        (count, i) => count > 0 && this.classes[i].canRow
+      );
+      return total >= this.minCapacity && hasRower ? [load] : [];
+    }
+
+    const loads = [];
+    const maxCount = Math.min(
+      available[index],
+      Math.floor((capacity - used) / this.getUnits(index))
+    );
+    for (let count = 0; count <= maxCount; count++) {
+      loads.push(
+        ...this.getLoads(available, capacity, index + 1, [...load, count])
+      );
+    }
+    return loads;
+  }
+
+  /**
+   * @param {SolverState} state - State to serialize
+   * @returns {string} Unique key for visited lookups
+   */
+  getStateKey(state) {
+    const sides = state.sides.map((side) => side.join('/'));
+    return `${sides.join('|')}/${state.boatLocations.join(',')}`;
+  }
+
+  /**
+   * @description Finds the shortest sequence of voyages from a state: the
+   * fewest trips, or the least river time in a timed game. The start state
+   * itself is not checked, same as a fresh Game.
+   * @param {SolverState} [start] - State to search from (default: new game)
+   * @param {Object} [options]
+   * @param {number} [options.maxCrossings] - Most crossings to try before
+   * giving up, e.g. to check a setup while the player types (default: no
+   * limit)
+   * @returns {Solution} Shortest solution, or solvable=false
+   */
+  solve(start = this.getInitialState(), { maxCrossings = Infinity } = {}) {
+    if (this.isWon(start)) {
+      return { solvable: true, trips: 0, time: 0, crossings: [] };
+    }
+    if (this.timed) {
+      return this.solveFastest(start, maxCrossings);
+    }
+
+    const startKey = this.getStateKey(start);
+    // key -> { parentKey, crossing } for path reconstruction
+    const visited = new Map([[startKey, null]]);
+    const queue = [start];
+    let tried = 0;
+
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      const stateKey = this.getStateKey(state);
+      const crossings = this.getCrossings(state);
+      tried += crossings.length;
+      if (tried > maxCrossings) {
+        return noSolution(true);
+      }
+
+      for (const { crossing, state: next } of crossings) {
+        const nextKey = this.getStateKey(next);
+        if (visited.has(nextKey)) continue;
+        visited.set(nextKey, { parentKey: stateKey, crossing });
+
+        if (this.isWon(next)) {
+          return this.buildSolution(visited, nextKey);
+        }
+        queue.push(next);
+      }
+    }
+
+    return noSolution();
+  }
+
+  /**
+   * @private
+   * @description Dijkstra's search on river time. Voyages that would go over
+   * the time budget are never taken.
+   * @param {SolverState} start - State to search from
+   * @param {number} maxCrossings - Most crossings to try before giving up
+   * @returns {Solution} Least-time solution, or solvable=false
+   */
+  solveFastest(start, maxCrossings) {
+    const startKey = this.getStateKey(start);
+    // key -> { parentKey, crossing } for path reconstruction
+    const visited = new Map([[startKey, null]]);
+    // key -> least river time found so far
+    const times = new Map([[startKey, start.time ?? 0]]);
+    const frontier = [{ state: start, time: start.time ?? 0 }];
+    let tried = 0;
+
+    while (frontier.length > 0) {
+      // State spaces are small, so a scan beats keeping a heap
+      let earliest = 0;
+      frontier.forEach((entry, i) => {
+        if (entry.time < frontier[earliest].time) earliest = i;
+      });
+      const { state, time } = frontier.splice(earliest, 1)[0];
+      const stateKey = this.getStateKey(state);
+      if (time > times.get(stateKey)) continue;
+
+      if (this.isWon(state)) {
+        return this.buildSolution(visited, stateKey);
+      }
+
+      const crossings = this.getCrossings(state);
+      tried += crossings.length;
+      if (tried > maxCrossings) {
+        return noSolution(true);
+      }
+
+      for (const { crossing, state: next } of crossings) {
+        const nextTime = time + crossing.time;
+        if (this.timeBudget !== null && nextTime > this.timeBudget) continue;
+
+        const nextKey = this.getStateKey(next);
+        if (times.has(nextKey) && times.get(nextKey) <= nextTime) continue;
+        times.set(nextKey, nextTime);
+        visited.set(nextKey, { parentKey: stateKey, crossing });
+        frontier.push({ state: next, time: nextTime });
+      }
+    }
+
+    return noSolution();
+  }
+
+  /**
+   * @private
+   * @param {Map<string, Object|null>} visited - Search tree
+   * @param {string} key - Key of the winning state
+   * @returns {Solution} Solution ending in that state
+   */
+  buildSolution(visited, key) {
+    const crossings = this.buildPath(visited, key);
+    return {
+      solvable: true,
+      trips: crossings.length,
+      time: crossings.reduce((sum, crossing) => sum + crossing.time, 0),
+      crossings,
+    };
+  }
+
+  /**
+   * @private
+   * @param {Map<string, Object|null>} visited - Search tree
+   * @param {string} key - Key of the final state
+   * @returns {Array<Crossing>} Voyages from the start to the final state
+   */
+  buildPath(visited, key) {
+    const crossings = [];
+    let entry = visited.get(key);
+    while (entry) {
+      crossings.unshift(entry.crossing);
+      entry = visited.get(entry.parentKey);
+    }
+    return crossings;
+  }
+}
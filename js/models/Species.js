@@ -0,0 +1,95 @@
+import { Predation } from '../enums.js';
+
+/**
+ * @typedef {Object} PredationRule
+ * @property {string} prey - Species id that gets eaten
+ * @property {string} when - Predation value
+ * @property {Array<string>} [unless] - Species ids whose presence protects
+ * the prey
+ */
+
+/**
+ * @typedef {Object} SpeciesOptions
+ * @property {string} id - Unique id, also the avatar type
+ * @property {string} name - Singular name, e.g. "wolf"
+ * @property {string} [plural] - Plural name (default: name + "s")
+ * @property {string} emoji - Emoji shown when there is no sprite
+ * @property {string|null} [sprite] - Image prefix, e.g. "monster" for
+ * images/monster-idle.gif
+ * @property {string|null} [badge] - Short label drawn on the avatar
+ * @property {string|null} [color] - Avatar border color
+ * @property {number} [weight=1] - Load units each avatar takes in a
+ * weight-limited boat
+ * @property {number} [crossingTime=1] - Time each avatar takes to cross the
+ * river in a timed game
+ * @property {Object<string, string>} [moods] - Emoji per Mood value
+ * @property {Array<PredationRule>} [eats] - What this species eats, and when
+ */
+
+/**
+ * @class Species
+ * @description A kind of avatar: how it looks and what it eats. Puzzles are
+ * lists of species.
+ */
+export class Species {
+  /**
+   * @param {SpeciesOptions} options - Species definition
+   */
+  constructor({
+    id,
+    name,
+    plural = `${name}s`,
+    emoji,
+    sprite = null,
+    badge = null,
+    color = null,
+    weight = 1,
+    crossingTime = 1,
+    moods = {},
+    eats = [],
+  }) {
+    this.id = id;
+    this.name = name;
+    this.plural = plural;
+    this.emoji = emoji;
+    this.sprite = sprite;
+    this.badge = badge;
+    this.color = color;
+    this.weight = weight;
+    this.crossingTime = crossingTime;
+    this.moods = moods;
+    this.eats = eats;
+  }
+
+  /**
+   * @param {string} [mood] - Mood value
+   * @returns {string} Emoji for the mood, or the species emoji
+   */
+  getEmoji(mood) {
+    return this.moods[mood] ?? this.emoji;
+  }
+
+  /**
+   * @param {string} mood - Mood value
+   * @returns {string|null} Sprite URL, or null if the species has none
+   */
+  getSpriteUrl(mood) {
+    return this.sprite ? `images/${this.sprite}-${mood}.gif` : null;
+  }
+
+  /**
+   * @param {PredationRule} rule - One of this species' rules
+   * @param {Object<string, number>} counts - Avatars of each species in
+   * one place
+   * @returns {boolean} True if the rule makes this species eat there
+   */
+  isFeasting(rule, counts) {
+    const predators = counts[this.id] ?? 0;
+    const prey = counts[rule.prey] ?? 0;
+    if (predators === 0 || prey === 0) return false;
+    if ((rule.unless ?? []).some((id) => (counts[id] ?? 0) > 0)) {
+      return false;
+    }
+    return rule.when === Predation.UNSUPERVISED || predators > prey;
+  }
+}
@@ -0,0 +1,502 @@
+import {
+  MoveType,
+  RuleSetId,
+  RowerType,
+  PuzzleId,
+  CapacityMode,
+} from '../enums.js';
+import { Puzzle } from './Puzzle.js';
+import { RuleSet } from './RuleSet.js';
+import { RowingRule } from './RowingRule.js';
+import { CONFIG_LIMITS, GameConfig } from './GameConfig.js';
+import { BoardCommand, UnboardCommand, VoyageCommand } from './commands.js';
+
+/**
+ * @typedef {Object} Move
+ * @property {string} type - MoveType value
+ * @property {string} [avatarId] - Avatar boarding or unboarding
+ * @property {boolean} [back] - Voyage rows back upstream from an island
+ * instead of on to the next shore
+ * @property {number} [boat] - Index of the boat boarded or rowed
+ * (default: 0, the first boat)
+ */
+
+/* ===========================
+TRANSCRIPT NOTATION
+
+  MNM <counts>/<boatCapacity> [ruleSet] [rowers=<who>] [puzzle=<id>]
+      [capacity=weight] [time=<timing>] [islands=<n>] [boats=<capacities>]
+      [docks=<limits>]
+  +<avatarId>   board the boat
+  -<avatarId>   unboard the boat
+  >             row to the next shore (from the destination: back)
+  <             row back upstream from an island
+  ...@<n>       board or row boat n instead of the first, e.g. ">@2"
+
+<counts> has one number per species of the puzzle, in its display order
+(monsters/humans by default). The rule set id is left out for the classic
+rules, rowers= when the puzzle's usual rowers row, puzzle= for monsters
+& humans, capacity= unless the boat limits heads, time= when the puzzle's
+usual timing applies, islands= when there are none, boats= when there is
+only one boat, and docks= when every dock holds everyone. <who> is
+"anyone", "humans" or a comma-separated list of avatar ids. <timing> is
+"off", "on" (timed, no budget) or the time budget. <capacities> lists the
+capacities of the boats after the first, e.g. "3,2". <limits> lists the
+limited docks by location, e.g. "island-1:2,destination:4".
+Moves are separated by whitespace. Export puts each voyage on its own line:
+
+  MNM 3/3/2
+  +monster-0 +monster-1 >
+  -monster-1 >
+=========================== */
+
+const COUNTS_PATTERN = /^\d+(?:\/\d+)+$/;
+const ROWERS_PREFIX = 'rowers=';
+const PUZZLE_PREFIX = 'puzzle=';
+const CAPACITY_PREFIX = 'capacity=';
+const TIME_PREFIX = 'time=';
+const TIME_OFF = 'off';
+const TIME_ON = 'on';
+const ISLANDS_PREFIX = 'islands=';
+const BOATS_PREFIX = 'boats=';
+const DOCKS_PREFIX = 'docks=';
+const BOAT_SUFFIX = /^(.+)@([1-9]\d*)$/;
+const VOYAGE_TOKEN = '>';
+const BACK_TOKEN = '<';
+const MAX_MOVES = 10000;
+
+/**
+ * @class TranscriptError
+ * @extends Error
+ * @description Raised for unreadable transcripts and illegal moves
+ */
+export class TranscriptError extends Error {
+  /**
+   * @param {string} reason - What went wrong
+   * @param {number|null} step - 1-based move number, or null for the header
+   */
+  constructor(reason, step = null) {
+    super(step === null ? reason : `Step ${step}: ${reason}`);
+    this.name = 'TranscriptError';
+    this.reason = reason;
+    this.step = step;
+  }
+}
+
+/**
+ * @class Transcript
+ * @description A game configuration and the moves played on it
+ */
+export class Transcript {
+  /**
+   * @param {GameConfig} config - Game setup the moves were played on
+   * @param {Array<Move>} moves - Moves in play order
+   */
+  constructor(config, moves = []) {
+    this.config = config;
+    this.moves = moves;
+  }
+
+  /**
+   * @static
+   * @param {Game} game - Game to record
+   * @returns {Transcript} Configuration and moves currently on the board
+   */
+  static fromGame(game) {
+    const moves = game.history
+      .getUndoStack()
+      .map((command) => Transcript.commandToMove(command));
+    return new Transcript(game.config, moves);
+  }
+
+  /**
+   * @static
+   * @param {Object} command - Executed game command
+   * @returns {Move} Equivalent move
+   */
+  static commandToMove(command) {
+    if (command instanceof UnboardCommand) {
+      return { type: MoveType.UNBOARD, avatarId: command.avatar.getId() };
+    }
+
+    // Only boats after the first are named
+    const boat = command.game.boats.indexOf(command.boat);
+    const onBoat = boat > 0 ? { boat } : {};
+    if (command instanceof BoardCommand) {
+      return {
+        type: MoveType.BOARD,
+        avatarId: command.avatar.getId(),
+        ...onBoat,
+      };
+    }
+    if (command instanceof VoyageCommand) {
+      const [onward] = command.game.config.getAdjacentShores(command.from);
+      return command.to === onward
+        ? { type: MoveType.VOYAGE, ...onBoat }
+        : { type: MoveType.VOYAGE, back: true, ...onBoat };
+    }
+    throw new TypeError(`Unknown command: ${command}`);
+  }
+
+  /**
+   * @static
+   * @param {string} text - Transcript in MNM notation
+   * @returns {Transcript} Parsed transcript
+   * @throws {TranscriptError} If the header or a move can't be read, or
+   * there are more than MAX_MOVES moves
+   */
+  static parse(text) {
+    const [header = '', ...lines] = text.trim().split('\n');
+    const config = Transcript.parseHeader(header.trim().split(/\s+/));
+
+    const tokens = lines.join(' ').split(/\s+/).filter(Boolean);
+    if (tokens.length > MAX_MOVES) {
+      throw new TranscriptError(`More than ${MAX_MOVES} moves`);
+    }
+    const moves = tokens.map((token, index) => {
+      const [, body, boatNumber] = token.match(BOAT_SUFFIX) ?? [null, token];
+      const move = Transcript.parseMove(body);
+      if (!move || (boatNumber && move.type === MoveType.UNBOARD)) {
+        throw new TranscriptError(`Unknown move "${token}"`, index + 1);
+      }
+      if (boatNumber) {
+        move.boat = Number(boatNumber) - 1;
+      }
+      return move;
+    });
+
+    return new Transcript(config, moves);
+  }
+
+  /**
+   * @static
+   * @param {string} token - Move without its boat suffix
+   * @returns {Move|null} Move it describes, or null if it is not one
+   */
+  static parseMove(token) {
+    if (token === VOYAGE_TOKEN) {
+      return { type: MoveType.VOYAGE };
+    }
+    if (token === BACK_TOKEN) {
+      return { type: MoveType.VOYAGE, back: true };
+    }
+    if (token.length > 1 && token[0] === '+') {
+      return { type: MoveType.BOARD, avatarId: token.slice(1) };
+    }
+    if (token.length > 1 && token[0] === '-') {
+      return { type: MoveType.UNBOARD, avatarId: token.slice(1) };
+    }
+    return null;
+  }
+
+  /**
+   * @static
+   * @param {Array<string>} fields - Header split on whitespace
+   * @returns {GameConfig} Configuration it describes
+   * @throws {TranscriptError} If a field is missing, unknown or invalid
+   */
+  static parseHeader([magic, counts, ...options]) {
+    if (magic !== 'MNM' || !COUNTS_PATTERN.test(counts ?? '')) {
+      throw new TranscriptError(
+        'Transcript must start with "MNM <monsters>/<humans>/<capacity>"'
+      );
+    }
+
+    let ruleSetId = RuleSetId.CLASSIC;
+    let puzzleId = PuzzleId.MONSTERS_AND_HUMANS;
+    let capacityMode = CapacityMode.HEAD_COUNT;
+    let rowers;
+    let timing;
+    let islands = 0;
+    let moreBoats = [];
+    let dockCapacities = {};
+    options.forEach((option) => {
+      if (option.startsWith(ROWERS_PREFIX)) {
+        rowers = option.slice(ROWERS_PREFIX.length);
+      } else if (option.startsWith(PUZZLE_PREFIX)) {
+        puzzleId = option.slice(PUZZLE_PREFIX.length);
+      } else if (option.startsWith(CAPACITY_PREFIX)) {
+        capacityMode = option.slice(CAPACITY_PREFIX.length);
+      } else if (option.startsWith(TIME_PREFIX)) {
+        timing = option.slice(TIME_PREFIX.length);
+      } else if (option.startsWith(ISLANDS_PREFIX)) {
+        islands = Number(option.slice(ISLANDS_PREFIX.length));
+      } else if (option.startsWith(BOATS_PREFIX)) {
+        moreBoats = option.slice(BOATS_PREFIX.length).split(',').map(Number);
+      } else if (option.startsWith(DOCKS_PREFIX)) {
+        dockCapacities = Transcript.parseDocks(
+          option.slice(DOCKS_PREFIX.length)
+        );
+      } else {
+        ruleSetId = option;
+      }
+    });
+
+    const puzzle = Puzzle.get(puzzleId);
+    if (!puzzle) {
+      throw new TranscriptError(`Unknown puzzle "${puzzleId}"`);
+    }
+    const ruleSet = RuleSet.get(ruleSetId);
+    if (!ruleSet) {
+      throw new TranscriptError(`Unknown rule set "${ruleSetId}"`);
+    }
+    if (!Object.values(CapacityMode).includes(capacityMode)) {
+      throw new TranscriptError(`Unknown capacity mode "${capacityMode}"`);
+    }
+    if (!Number.isInteger(islands) || islands < 0) {
+      throw new TranscriptError('Islands must be a whole number');
+    }
+    if (islands > CONFIG_LIMITS.islands) {
+      throw new TranscriptError(`At most ${CONFIG_LIMITS.islands} islands`);
+    }
+
+    const values = counts.split('/').map((value) => parseInt(value));
+    const boatCapacity = values.pop();
+    if (values.length !== puzzle.species.length) {
+      throw new TranscriptError(
+        `${puzzle.name} needs ${puzzle.species.length} counts before the capacity`
+      );
+    }
+    if (values.some((value) => value < 1) || boatCapacity < 1) {
+      throw new TranscriptError('Configuration values must be positive');
+    }
+    if (moreBoats.some((value) => !Number.isInteger(value) || value < 1)) {
+      throw new TranscriptError('Boat capacities must be positive integers');
+    }
+    if (values.some((value) => value > CONFIG_LIMITS.count)) {
+      throw new TranscriptError(
+        `At most ${CONFIG_LIMITS.count} avatars of each species`
+      );
+    }
+    if (
+      [boatCapacity, ...moreBoats].some(
+        (value) => value > CONFIG_LIMITS.boatCapacity
+      )
+    ) {
+      throw new TranscriptError(
+        `Boat capacities can be at most ${CONFIG_LIMITS.boatCapacity}`
+      );
+    }
+    if (moreBoats.length + 1 > CONFIG_LIMITS.boats) {
+      throw new TranscriptError(`At most ${CONFIG_LIMITS.boats} boats`);
+    }
+
+    const config = new GameConfig({
+      puzzle,
+      counts: Object.fromEntries(
+        puzzle.species.map((species, i) => [species.id, values[i]])
+      ),
+      boatCapacities: [boatCapacity, ...moreBoats],
+      capacityMode,
+      ...(timing === undefined
+        ? { timed: puzzle.timed, timeBudget: puzzle.timeBudget }
+        : Transcript.parseTiming(timing)),
+      ruleSet,
+      rowingRule:
+        rowers === undefined
+          ? puzzle.rowingRule
+          : Transcript.parseRowers(rowers),
+      islands,
+      dockCapacities,
+    });
+    const dockError = config.findDockCapacityError();
+    if (dockError) {
+      throw new TranscriptError(dockError);
+    }
+    const unknownRower = config.rowingRule.findUnknownRower(
+      config.createAvatars()
+    );
+    if (unknownRower !== null) {
+      throw new TranscriptError(`No avatar with id "${unknownRower}" to row`);
+    }
+    return config;
+  }
+
+  /**
+   * @static
+   * @param {string} value - Text after "time="
+   * @returns {{timed: boolean, timeBudget: number|null}} Timing it describes
+   * @throws {TranscriptError} If it is not "off", "on" or a positive number
+   */
+  static parseTiming(value) {
+    if (value === TIME_OFF) {
+      return { timed: false, timeBudget: null };
+    }
+    if (value === TIME_ON) {
+      return { timed: true, timeBudget: null };
+    }
+    const timeBudget = Number(value);
+    if (!Number.isInteger(timeBudget) || timeBudget < 1) {
+      throw new TranscriptError(`Unknown timing "${value}"`);
+    }
+    return { timed: true, timeBudget };
+  }
+
+  /**
+   * @static
+   * @param {{timed: boolean, timeBudget: number|null}} timing - Config or
+   * puzzle timing
+   * @returns {string} Value for "time=", e.g. "off" or "17"
+   */
+  static formatTiming({ timed, timeBudget }) {
+    if (!timed) return TIME_OFF;
+    return timeBudget === null ? TIME_ON : String(timeBudget);
+  }
+
+  /**
+   * @static
+   * @param {string} value - Text after "rowers="
+   * @returns {RowingRule} Rowing rule it describes
+   */
+  static parseRowers(value) {
+    if (value === RowerType.ANYONE) {
+      return new RowingRule();
+    }
+    if (value === RowerType.HUMANS) {
+      return new RowingRule(RowerType.HUMANS);
+    }
+    return new RowingRule(RowerType.NAMED, value.split(',').filter(Boolean));
+  }
+
+  /**
+   * @static
+   * @param {RowingRule} rowingRule - Rowing rule to write
+   * @returns {string} Value for "rowers=", e.g. "humans" or "human-0,monster-1"
+   */
+  static formatRowers(rowingRule) {
+    return rowingRule.type === RowerType.NAMED
+      ? rowingRule.rowerIds.join(',')
+      : rowingRule.type;
+  }
+
+  /**
+   * @static
+   * @param {string} value - Text after "docks="
+   * @returns {Object<string, number>} Dock capacities by location
+   * @throws {TranscriptError} If an entry is not "<location>:<capacity>"
+   */
+  static parseDocks(value) {
+    return Object.fromEntries(
+      value.split(',').map((entry) => {
+        const [location, capacity, ...rest] = entry.split(':');
+        if (!location || capacity === undefined || rest.length > 0) {
+          throw new TranscriptError(`Unknown dock limit "${entry}"`);
+        }
+        return [location, Number(capacity)];
+      })
+    );
+  }
+
+  /**
+   * @static
+   * @param {GameConfig} config - Config whose limited docks to write
+   * @returns {string} Value for "docks=" in shore order, e.g.
+   * "island-1:2,destination:4", or "" if no dock is limited
+   */
+  static formatDocks(config) {
+    return config
+      .getShores()
+      .filter((location) => config.dockCapacities[location] !== undefined)
+      .map((location) => `${location}:${config.dockCapacities[location]}`)
+      .join(',');
+  }
+
+  /**
+   * @static
+   * @param {Move} move - Move to write
+   * @returns {string} Move in MNM notation, e.g. "+monster-0" or ">"
+   */
+  static formatMove(move) {
+    const suffix = move.boat > 0 ? `@${move.boat + 1}` : '';
+    if (move.type === MoveType.VOYAGE) {
+      return `${move.back ? BACK_TOKEN : VOYAGE_TOKEN}${suffix}`;
+    }
+    if (move.type === MoveType.BOARD) {
+      return `+${move.avatarId}${suffix}`;
+    }
+    return `-${move.avatarId}`;
+  }
+
+  /**
+   * @returns {string} First line of the transcript, naming the setup, e.g.
+   * "MNM 3/3/2 strict islands=1"
+   */
+  formatHeader() {
+    const {
+      puzzle,
+      boatCapacity,
+      boatCapacities,
+      capacityMode,
+      ruleSet,
+      rowingRule,
+      islands,
+    } = this.config;
+    const counts = puzzle.species.map((species) =>
+      this.config.getCount(species.id)
+    );
+    let header = `MNM ${[...counts, boatCapacity].join('/')}`;
+    if (ruleSet.id !== RuleSetId.CLASSIC) {
+      header += ` ${ruleSet.id}`;
+    }
+    const rowers = Transcript.formatRowers(rowingRule);
+    if (rowers !== Transcript.formatRowers(puzzle.rowingRule)) {
+      header += ` ${ROWERS_PREFIX}${rowers}`;
+    }
+    if (puzzle.id !== PuzzleId.MONSTERS_AND_HUMANS) {
+      header += ` ${PUZZLE_PREFIX}${puzzle.id}`;
+    }
+    if (capacityMode !== CapacityMode.HEAD_COUNT) {
+      header += ` ${CAPACITY_PREFIX}${capacityMode}`;
+    }
+    const timing = Transcript.formatTiming(this.config);
+    if (timing !== Transcript.formatTiming(puzzle)) {
+      header += ` ${TIME_PREFIX}${timing}`;
+    }
+    if (islands > 0) {
+      header += ` ${ISLANDS_PREFIX}${islands}`;
+    }
+    if (boatCapacities.length > 1) {
+      header += ` ${BOATS_PREFIX}${boatCapacities.slice(1).join(',')}`;
+    }
+    const docks = Transcript.formatDocks(this.config);
+    if (docks) {
+      header += ` ${DOCKS_PREFIX}${docks}`;
+    }
+    return header;
+  }
+
+  /**
+   * @returns {string} Transcript in MNM notation, one voyage per line
+   */
+  toString() {
+    const lines = [this.formatHeader()];
+    let line = [];
+
+    this.moves.forEach((move) => {
+      line.push(Transcript.formatMove(move));
+      if (move.type === MoveType.VOYAGE) {
+        lines.push(line.join(' '));
+        line = [];
+      }
+    });
+    if (line.length > 0) {
+      lines.push(line.join(' '));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @description Plays every move on a freshly initialized game with the
+   * same configuration, checking each against the game rules
+   * @param {Game} game - Game to play on
+   * @throws {TranscriptError} On the first illegal move
+   */
+  replay(game) {
+    this.moves.forEach((move, index) => {
+      const error = game.applyMove(move);
+      if (error) {
+        throw new TranscriptError(error, index + 1);
+      }
+    });
+  }
+}
@@ -0,0 +1,124 @@
+import { MountStatus, GameStatus, BoatStatus } from '../enums.js';
+
+/* ===========================
+GAME COMMANDS
+=========================== */
+
+/**
+ * @class BoardCommand
+ * @description Moves an avatar from a boat's current dock onto the boat
+ */
+export class BoardCommand {
+  /**
+   * @param {Game} game - Game to act on
+   * @param {Avatar} avatar - Avatar boarding the boat
+   * @param {Boat} [boat] - Boat to board (default: the selected boat)
+   */
+  constructor(game, avatar, boat = game.boat) {
+    this.game = game;
+    this.avatar = avatar;
+    this.boat = boat;
+    this.dock = game.getDockByLocation(boat.location);
+  }
+
+  execute() {
+    this.dock.removePassenger(this.avatar);
+    this.boat.addPassenger(this.avatar);
+    this.avatar.setMounted(MountStatus.ON_BOAT);
+  }
+
+  undo() {
+    this.boat.removePassenger(this.avatar);
+    this.dock.addPassenger(this.avatar);
+    this.avatar.setMounted(MountStatus.ON_DOCK);
+  }
+}
+
+/**
+ * @class UnboardCommand
+ * @description Moves an avatar from its boat onto the boat's current dock
+ */
+export class UnboardCommand {
+  /**
+   * @param {Game} game - Game to act on
+   * @param {Avatar} avatar - Avatar leaving the boat
+   */
+  constructor(game, avatar) {
+    this.game = game;
+    this.avatar = avatar;
+    this.boat = game.getBoatOf(avatar);
+    this.dock = game.getDockByLocation(this.boat.location);
+  }
+
+  execute() {
+    this.boat.removePassenger(this.avatar);
+    this.dock.addPassenger(this.avatar);
+    this.avatar.setMounted(MountStatus.ON_DOCK);
+  }
+
+  undo() {
+    this.dock.removePassenger(this.avatar);
+    this.boat.addPassenger(this.avatar);
+    this.avatar.setMounted(MountStatus.ON_BOAT);
+  }
+}
+
+/**
+ * @class VoyageCommand
+ * @description Docks a boat and its passengers at the shore it rowed to.
+ * Create it before the boat leaves so the trip count, river time and
+ * passengers are captured as they were at departure.
+ */
+export class VoyageCommand {
+  /**
+   * @param {Game} game - Game to act on
+   * @param {Boat} boat - Boat making the voyage
+   * @param {string} from - Departure location
+   * @param {string} to - Arrival location
+   * @param {number} [tripsBefore] - Trip count before departure
+   * @param {number} [riverTimeBefore] - River time before departure
+   */
+  constructor(
+    game,
+    boat,
+    from,
+    to,
+    tripsBefore = game.tripCount,
+    riverTimeBefore = game.riverTime
+  ) {
+    this.game = game;
+    this.boat = boat;
+    this.from = from;
+    this.to = to;
+    this.passengers = boat.getPassengers();
+    this.duration = boat.getCrossingTime();
+    this.tripsBefore = tripsBefore;
+    this.riverTimeBefore = riverTimeBefore;
+  }
+
+  execute() {
+    this.moveBoat(this.to);
+    this.game.tripCount = this.tripsBefore + 1;
+    this.game.riverTime = this.riverTimeBefore + this.duration;
+  }
+
+  undo() {
+    this.moveBoat(this.from);
+    this.game.tripCount = this.tripsBefore;
+    this.game.riverTime = this.riverTimeBefore;
+    // Undoing the final voyage puts the game back in play
+    this.game.status = GameStatus.ONGOING;
+  }
+
+  /**
+   * @private
+   * @param {string} location - Location to dock at
+   */
+  moveBoat(location) {
+    this.boat.setStatus(BoatStatus.DOCKED);
+    this.boat.setLocation(location);
+    this.passengers.forEach((avatar) => {
+      avatar.setLocation(location);
+    });
+  }
+}
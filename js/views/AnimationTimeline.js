@@ -0,0 +1,142 @@
+/**
+ * @typedef {Object} AnimationPhase
+ * @property {string} name - What the phase shows, e.g. "pounce"
+ * @property {number} duration - Milliseconds it lasts at normal speed
+ * @property {Function} [run] - Called as the phase starts with the
+ * milliseconds it will actually last, e.g. to time a CSS transition
+ */
+
+/**
+ * @class AnimationTimeline
+ * @description Plays named animation phases one after another. A timeline
+ * plays one sequence at a time: playing another, skip() or cancel() ends
+ * the current one. Durations follow the speed shared by every timeline, and
+ * drop to nothing when the player prefers reduced motion.
+ */
+export class AnimationTimeline {
+  static #speed = 1;
+
+  constructor() {
+    this.phases = []; // Phases not started yet
+    this.currentPhase = null; // Name of the phase playing
+    this.timeoutId = null;
+    this.resolve = null; // Settles the promise play() returned
+  }
+
+  /**
+   * @static
+   * @returns {number} Speed multiplier of every timeline (1 = normal)
+   */
+  static getSpeed() {
+    return AnimationTimeline.#speed;
+  }
+
+  /**
+   * @static
+   * @param {number} speed - Speed multiplier for every timeline, e.g. 2 to
+   * play twice as fast. Phases already playing keep their pace.
+   */
+  static setSpeed(speed) {
+    AnimationTimeline.#speed = speed;
+  }
+
+  /**
+   * @static
+   * @returns {boolean} True if the player asked for less motion
+   */
+  static prefersReducedMotion() {
+    return (
+      globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches ??
+      false
+    );
+  }
+
+  /**
+   * @static
+   * @param {number} duration - Milliseconds at normal speed
+   * @returns {number} Milliseconds at the current speed and motion setting
+   */
+  static scale(duration) {
+    return AnimationTimeline.prefersReducedMotion()
+      ? 0
+      : duration / AnimationTimeline.#speed;
+  }
+
+  /**
+   * @returns {boolean} True while a sequence is playing
+   */
+  get isPlaying() {
+    return this.resolve !== null;
+  }
+
+  /**
+   * @description Starts the first phase at once, cancelling any sequence
+   * still playing
+   * @param {Array<AnimationPhase>} phases - Phases in play order
+   * @returns {Promise<boolean>} Resolves true once every phase has played
+   * (or was skipped), false if the sequence was cancelled
+   */
+  play(phases) {
+    this.cancel();
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.phases = [...phases];
+      this.playNextPhase();
+    });
+  }
+
+  /**
+   * @private
+   */
+  playNextPhase() {
+    const phase = this.phases.shift();
+    if (!phase) {
+      this.finish(true);
+      return;
+    }
+
+    const duration = AnimationTimeline.scale(phase.duration);
+    this.currentPhase = phase.name;
+    phase.run?.(duration);
+    this.timeoutId = setTimeout(() => this.playNextPhase(), duration);
+  }
+
+  /**
+   * @description Jumps to the end: the phases left run at once, with no
+   * time to animate, and the sequence ends as if played out
+   */
+  skip() {
+    if (!this.isPlaying) return;
+
+    clearTimeout(this.timeoutId);
+    this.phases.splice(0).forEach((phase) => {
+      this.currentPhase = phase.name;
+      phase.run?.(0);
+    });
+    this.finish(true);
+  }
+
+  /**
+   * @description Stops the sequence where it is. The phases left never
+   * run, so nothing touches a view torn down in the meantime.
+   */
+  cancel() {
+    if (!this.isPlaying) return;
+
+    clearTimeout(this.timeoutId);
+    this.phases = [];
+    this.finish(false);
+  }
+
+  /**
+   * @private
+   * @param {boolean} completed - False if the sequence was cancelled
+   */
+  finish(completed) {
+    const { resolve } = this;
+    this.resolve = null;
+    this.timeoutId = null;
+    this.currentPhase = null;
+    resolve(completed);
+  }
+}
@@ -0,0 +1,1015 @@
+import {
+  Location,
+  GameStatus,
+  GameEvent,
+  RowerType,
+  Mood,
+  CapacityMode,
+} from '../enums.js';
+import { AnimationTimeline } from './AnimationTimeline.js';
+
+/**
+ * @class ViewController
+ * @description Handles all UI rendering and animations. Reacts to GameEvent
+ * notifications and forwards clicks to the game.
+ */
+export class ViewController {
+  /**
+   * @param {Game} game - Reference to game instance
+   * @param {HTMLElement} root - Element holding this board's markup. Parts
+   * are found by their data-ref attribute, so several boards can share a page.
+   * @param {AssistSettings|null} [assist] - Help the player wants (null: none)
+   */
+  constructor(game, root, assist = null) {
+    this.game = game;
+    this.root = root;
+    this.assist = assist;
+    this.uuid = crypto.randomUUID();
+    this.elements = {
+      originDock: this.getRef('originDock'),
+      destinationDock: this.getRef('destinationDock'),
+      originContent: this.getRef('originContent'),
+      destinationContent: this.getRef('destinationContent'),
+      board: this.getRef('board'),
+      boat: this.getRef('boat'),
+      river: this.getRef('river'),
+      messageBox: this.getRef('messageBox'),
+      overlay: this.getRef('overlay'),
+      stats: this.getRef('stats'),
+      // TODO: refactor view elements
+      boatActionBtn: this.getRef('boatActionBtn'),
+      boatBackBtn: this.getRef('boatBackBtn'),
+      boatCapacityLabel: this.getRef('boatCapacityLabel'),
+      // Optional: a board may leave out the clock and the toolbar
+      clock: this.getRef('clock'),
+      undoBtn: this.getRef('undoBtn'),
+      hintBtn: this.getRef('hintBtn'),
+      redoBtn: this.getRef('redoBtn'),
+      replayBtn: this.getRef('replayBtn'),
+      skipBtn: this.getRef('skipBtn'),
+    };
+    this.animationDuration = 3000; // Feast animation duration
+    this.voyageDuration = 2000; // Voyage animation duration
+    this.isAnimating = false;
+    this.isInputLocked = false; // Set while the solution plays itself
+    this.timeline = new AnimationTimeline(); // Voyage and feast animations
+    this.messageTimeout = null; // Hides the message box
+    this.timerInterval = null;
+    this.unsubscribers = []; // Game event subscriptions
+    // Location -> { dock, content, label, preview } elements, islands included
+    this.shoreElements = new Map();
+    this.riverElements = []; // Stretches of river between the shores
+    // One { container, boat, actionBtn, backBtn, label } per game boat
+    this.boatElements = [];
+    this.handleBoatActionClick = (event) => {
+      this.rowBoat(event.currentTarget, 0);
+    };
+    this.handleBoatBackClick = (event) => {
+      this.rowBoat(event.currentTarget, 1);
+    };
+    this.handleBoatSelectClick = (event) => {
+      // Clicking someone aboard unboards them instead
+      if (this.canInteract() && !event.target.closest('.avatar')) {
+        this.game.selectBoat(this.getBoatOfElement(event.currentTarget));
+      }
+    };
+    this.handleSkipClick = () => this.timeline.skip();
+  }
+
+  // TODO: description
+  destroy() {
+    this.stopTimer();
+    // Nothing still animating may reach the game or the board once gone
+    this.timeline.cancel();
+    this.timeline = null;
+    this.setAnimating(false);
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = null;
+    this.elements.skipBtn?.removeEventListener('click', this.handleSkipClick);
+    this.handleSkipClick = null;
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = null;
+    this.boatElements.forEach(({ boat, actionBtn, backBtn }) => {
+      boat.removeEventListener('click', this.handleBoatSelectClick);
+      actionBtn.removeEventListener('click', this.handleBoatActionClick);
+      backBtn.removeEventListener('click', this.handleBoatBackClick);
+    });
+    this.handleBoatActionClick = null;
+    this.handleBoatBackClick = null;
+    this.handleBoatSelectClick = null;
+    this.removeBoats();
+    this.removeIslands();
+    this.shoreElements = null;
+    this.riverElements = null;
+    this.boatElements = null;
+
+    this.game = null;
+    this.root = null;
+    this.assist = null;
+    this.uuid = null;
+    this.elements = null;
+    this.animationDuration = null;
+    this.voyageDuration = null;
+    this.isAnimating = null;
+    this.isInputLocked = null;
+    this.timerInterval = null;
+  }
+
+  /**
+   * @param {string} name - Value of the element's data-ref attribute
+   * @returns {HTMLElement|null} Matching element inside this board
+   */
+  getRef(name) {
+    return this.root.querySelector(`[data-ref="${name}"]`);
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to look up
+   * @returns {HTMLElement|null} Avatar element inside this board
+   */
+  getAvatarElement(avatar) {
+    return this.root.querySelector(`[data-avatar-id="${avatar.getId()}"]`);
+  }
+
+  /**
+   * @description Ticks the clock display while the game's clock runs, and
+   * lets a countdown game end when it runs out
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timerInterval = setInterval(() => {
+      this.renderClock();
+      this.game.checkClock();
+    }, 10);
+  }
+
+  /**
+   * @description Stops the clock display ticking
+   */
+  stopTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  /**
+   * @description Shows the time left in a countdown game, else the time
+   * played, warning when a countdown is nearly out
+   */
+  renderClock() {
+    const { clock } = this.elements;
+    if (!clock) return;
+
+    const remaining = this.game.getRemainingTime();
+    clock.textContent = this.formatTime(
+      remaining ?? this.game.getElapsedTime()
+    );
+    clock.classList.toggle('countdown', remaining !== null);
+    clock.classList.toggle('low', remaining !== null && remaining < 10000);
+  }
+
+  /**
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "01:40.671"
+   */
+  formatTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const milliseconds = Math.floor(ms % 1000);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(
+      2,
+      '0'
+    )}.${String(milliseconds).padStart(3, '0')}`;
+  }
+
+  /**
+   * @returns {string} Time on the game's clock, e.g. "01:40.671"
+   */
+  getElapsedTime() {
+    return this.formatTime(this.game.getElapsedTime());
+  }
+
+  /**
+   * @description Initializes UI. The clock starts with the first move.
+   */
+  initialize() {
+    this.buildShores();
+    this.buildBoats();
+    this.bindEvents();
+    this.render();
+    this.renderClock();
+  }
+
+  /**
+   * @description Adds a dock and a stretch of river for each island, between
+   * the river and the destination dock. Undone by destroy().
+   */
+  buildShores() {
+    const { board, river, destinationDock } = this.elements;
+    const shores = this.game.config.getShores();
+    this.removeIslands();
+    this.shoreElements = new Map([
+      [
+        Location.ORIGIN,
+        {
+          dock: this.elements.originDock,
+          content: this.elements.originContent,
+        },
+      ],
+      [
+        Location.DESTINATION,
+        { dock: destinationDock, content: this.elements.destinationContent },
+      ],
+    ]);
+    this.riverElements = [river];
+
+    shores.slice(1, -1).forEach((location, i) => {
+      const dock = document.createElement('div');
+      dock.className = 'dock island';
+      dock.dataset.island = location;
+      const title = document.createElement('div');
+      title.className = 'dock-title';
+      title.textContent = `🏝️ Island ${i + 1}`;
+      const content = document.createElement('div');
+      content.className = 'dock-content';
+      dock.append(title, content);
+
+      const stretch = document.createElement('div');
+      stretch.className = 'river';
+      stretch.dataset.island = location;
+      destinationDock.before(dock, stretch);
+
+      this.shoreElements.set(location, { dock, content });
+      this.riverElements.push(stretch);
+    });
+
+    // Every dock gets a label for its room, shown when it is limited, and
+    // one for the danger preview
+    this.shoreElements.forEach((elements) => {
+      elements.label = document.createElement('p');
+      elements.label.className = 'dock-capacity-label';
+      elements.preview = document.createElement('p');
+      elements.preview.className = 'dock-preview-label';
+      elements.dock.append(elements.label, elements.preview);
+    });
+
+    // Docks and river alternate: dock, river, island, river, ..., dock
+    board.style.gridTemplateColumns =
+      shores.length > 2 ? `1fr repeat(${shores.length - 1}, 4fr 1fr)` : '';
+  }
+
+  /**
+   * @private
+   * @description Takes the island docks, their river and the dock labels
+   * back out of the board, leaving the boat on the main river
+   */
+  removeIslands() {
+    const { board, river, boat } = this.elements;
+    river.appendChild(boat.parentElement);
+    board
+      .querySelectorAll(
+        '[data-island], .dock-capacity-label, .dock-preview-label'
+      )
+      .forEach((el) => el.remove());
+    board.querySelectorAll('.danger').forEach((el) => {
+      el.classList.remove('danger');
+    });
+    board.style.gridTemplateColumns = '';
+  }
+
+  /**
+   * @description Copies the boat markup, row buttons and label included, for
+   * each boat after the first. Undone by destroy().
+   */
+  buildBoats() {
+    const { boat, boatActionBtn, boatBackBtn, boatCapacityLabel } =
+      this.elements;
+    const template = boat.parentElement;
+    this.removeBoats();
+    template.dataset.boatIndex = 0;
+    this.boatElements = [
+      {
+        container: template,
+        boat,
+        actionBtn: boatActionBtn,
+        backBtn: boatBackBtn,
+        label: boatCapacityLabel,
+      },
+    ];
+
+    this.game.boats.slice(1).forEach((_, i) => {
+      const container = template.cloneNode(true);
+      container.dataset.boatIndex = i + 1;
+      container.dataset.extraBoat = '';
+      // Refs must stay unique to the first boat
+      container.querySelectorAll('[data-ref]').forEach((el) => {
+        el.removeAttribute('data-ref');
+      });
+      template.after(container);
+      const [actionBtn, backBtn] =
+        container.querySelectorAll('.boat-action-btn');
+      this.boatElements.push({
+        container,
+        boat: container.querySelector('.boat-container'),
+        actionBtn,
+        backBtn,
+        label: container.querySelector('.boat-capacity-label'),
+      });
+    });
+  }
+
+  /**
+   * @private
+   * @description Takes out the boats copied by buildBoats()
+   */
+  removeBoats() {
+    this.elements.board
+      .querySelectorAll('[data-extra-boat]')
+      .forEach((el) => el.remove());
+  }
+
+  /**
+   * @private
+   * @param {HTMLElement} el - Element inside one boat's markup
+   * @returns {Boat} Game boat the markup shows
+   */
+  getBoatOfElement(el) {
+    const index = Number(el.closest('[data-boat-index]').dataset.boatIndex);
+    return this.game.boats[index];
+  }
+
+  /**
+   * @private
+   * @param {HTMLElement} button - Row button that was clicked
+   * @param {number} targetIndex - 0 to row onward, 1 to row back
+   */
+  rowBoat(button, targetIndex) {
+    if (!this.canInteract()) return;
+
+    const boat = this.getBoatOfElement(button);
+    this.game.selectBoat(boat);
+    if (this.game.boat === boat) {
+      const to = this.game.getVoyageTargets()[targetIndex];
+      if (this.confirmRiskyVoyage(to)) {
+        this.game.handleBoatClick(to);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @description Asks "row anyway?" before a voyage that would end in a
+   * feast, if the player wants to be asked
+   * @param {string} to - Shore the selected boat would row to
+   * @returns {boolean} True to row
+   */
+  confirmRiskyVoyage(to) {
+    if (!this.assist?.shouldConfirmRisky()) return true;
+    // Illegal voyages go ahead, for the game to reject
+    if (this.game.getVoyageError(to) !== null) return true;
+
+    const { safe, places } = this.game.previewVoyage(to);
+    if (safe) return true;
+
+    const where = places
+      .filter((place) => !place.safe)
+      .map((place) =>
+        place.withDock
+          ? `the ${this.game.config.getShoreName(place.location)} dock`
+          : 'the boat'
+      );
+    const names = [...new Set(where)].join(' and ');
+    return confirm(`Someone would be eaten at ${names}. Row anyway?`);
+  }
+
+  /**
+   * @returns {boolean} True if the player may click the board
+   */
+  canInteract() {
+    return !this.isAnimating && !this.isInputLocked;
+  }
+
+  /**
+   * @description Binds event listeners to UI elements
+   */
+  bindEvents() {
+    // Boat click
+    this.boatElements.forEach(({ boat, actionBtn, backBtn }) => {
+      boat.addEventListener('click', this.handleBoatSelectClick);
+      actionBtn.addEventListener('click', this.handleBoatActionClick);
+      backBtn.addEventListener('click', this.handleBoatBackClick);
+    });
+    this.elements.skipBtn?.addEventListener('click', this.handleSkipClick);
+
+    this.bindGameEvents();
+  }
+
+  /**
+   * @description Subscribes to game events. Undone by destroy().
+   */
+  bindGameEvents() {
+    const subscribe = (type, listener) => {
+      this.unsubscribers.push(this.game.on(type, listener));
+    };
+
+    [
+      GameEvent.AVATAR_BOARDED,
+      GameEvent.AVATAR_UNBOARDED,
+      GameEvent.VOYAGE_ENDED,
+      GameEvent.MOVE_UNDONE,
+      GameEvent.MOVE_REDONE,
+      GameEvent.BOAT_SELECTED,
+    ].forEach((type) => subscribe(type, () => this.render()));
+
+    subscribe(GameEvent.VOYAGE_STARTED, ({ boat, duration }) => {
+      this.playVoyageAnimation(
+        () => this.game.completeVoyage(),
+        duration,
+        boat
+      );
+    });
+    // A voyage ends before the game does, so the preview is redrawn after
+    subscribe(GameEvent.STATE_CHANGED, () => this.renderDangerPreview());
+    subscribe(GameEvent.CLOCK_STARTED, () => this.startTimer());
+    subscribe(GameEvent.CLOCK_STOPPED, () => {
+      this.stopTimer();
+      this.renderClock();
+    });
+    subscribe(GameEvent.GAME_WON, () => this.playWinAnimation());
+    subscribe(GameEvent.GAME_LOST, ({ predators, prey }) => {
+      if (predators.length > 0) {
+        this.playFeastAnimation(predators, prey);
+      } else {
+        this.playTimeoutAnimation();
+      }
+    });
+    subscribe(GameEvent.MOVE_REJECTED, ({ reason }) => {
+      this.showMessage(reason, 'info');
+    });
+    subscribe(GameEvent.DOCK_FULL, ({ reason }) => {
+      this.showMessage(reason, 'info');
+    });
+    subscribe(GameEvent.HINT_SHOWN, ({ move }) => this.showHint(move));
+    subscribe(GameEvent.HINT_UNAVAILABLE, ({ reason, undoDepth }) => {
+      if (undoDepth === null) {
+        this.showMessage(reason, 'info');
+      } else if (this.confirmUndo(undoDepth)) {
+        this.game.rewindForHint(undoDepth);
+      }
+    });
+  }
+
+  /**
+   * @description Renders complete game state
+   */
+  render() {
+    this.game.docks.forEach((dock) => {
+      const { content, label } = this.shoreElements.get(dock.location);
+      this.renderDock(dock, content);
+      this.renderDockLabel(dock, label);
+    });
+    this.game.boats.forEach((boat, i) => {
+      this.renderBoat(boat, this.boatElements[i]);
+      this.renderBoatLabel(boat, this.boatElements[i].label);
+      this.renderRowButtons(boat, this.boatElements[i]);
+    });
+    // TODO: optimize this view render.
+    let stats = `Boat Trips: ${this.game.tripCount}`;
+    if (this.game.timed) {
+      const budget =
+        this.game.timeBudget === null ? '' : `/${this.game.timeBudget}`;
+      stats += ` | River Time: ${this.game.riverTime}${budget}`;
+    }
+    this.elements.stats.textContent = stats;
+    this.boatElements.forEach(({ boat, actionBtn, backBtn }) => {
+      boat.classList.remove('hint');
+      actionBtn.classList.remove('hint');
+      backBtn.classList.remove('hint');
+    });
+    const { undoBtn, redoBtn, replayBtn } = this.elements;
+    if (undoBtn) undoBtn.disabled = !this.game.history.canUndo();
+    if (redoBtn) redoBtn.disabled = !this.game.history.canRedo();
+    if (replayBtn) {
+      replayBtn.disabled =
+        this.game.status === GameStatus.ONGOING || this.isInputLocked;
+    }
+    this.shoreElements.forEach(({ dock }) => {
+      dock.classList.remove('unbalanced');
+    });
+    this.boatElements.forEach(({ boat }) => {
+      boat.classList.remove('unbalanced');
+    });
+    this.renderDangerPreview();
+  }
+
+  /**
+   * @description With the danger preview on and a boat ready to row, shows
+   * who each dock would hold once it lands, marking in red every dock or
+   * boat where someone would be eaten as it leaves or lands
+   */
+  renderDangerPreview() {
+    const canPreview =
+      this.assist?.dangerPreview &&
+      !this.isInputLocked &&
+      this.game.getVoyageError() === null;
+    const places = canPreview ? this.game.previewVoyage().places : [];
+
+    this.shoreElements.forEach(({ dock, preview }, location) => {
+      const place = places.find(
+        (candidate) => candidate.withDock && candidate.location === location
+      );
+      dock.classList.toggle('danger', place ? !place.safe : false);
+      preview.hidden = !place;
+      if (place) preview.textContent = this.formatCounts(place.counts);
+    });
+    this.boatElements.forEach(({ boat }, i) => {
+      boat.classList.toggle(
+        'danger',
+        places.some(
+          (place) => !place.withDock && !place.safe && place.boats.includes(i)
+        )
+      );
+    });
+  }
+
+  /**
+   * @param {Object<string, number>} counts - Avatars of each species
+   * @returns {string} e.g. "👹 2 · 👤 3", in the puzzle's species order
+   */
+  formatCounts(counts) {
+    return this.game.puzzle.species
+      .map((species) => `${species.emoji} ${counts[species.id] ?? 0}`)
+      .join(' · ');
+  }
+
+  /**
+   * @param {Dock|null} dock - Dock to mark as unbalanced until the next
+   * render, or null to mark the boat that last rowed
+   */
+  highlightDock(dock) {
+    const el = dock
+      ? this.shoreElements.get(dock.location).dock
+      : this.getBoatElements(this.game.boat).boat;
+    el.classList.add('unbalanced');
+  }
+
+  /**
+   * @param {Boat} boat - One of the game's boats
+   * @returns {Object} Its entry in boatElements
+   */
+  getBoatElements(boat) {
+    return this.boatElements[this.game.boats.indexOf(boat)];
+  }
+
+  displayGeekStats() {
+    this.getRef(
+      'geekStats'
+    ).innerHTML = `<p style="color: black; font-size: 14px;">Game UUID: ${
+      this.game.uuid
+    } | View UUID: ${
+      this.uuid
+    }</p><p style="color: black; font-size: 14px;">Boat Passengers: ${this.game.boat.getPassengerCount()} | Origin Dock: ${this.game.dockOrigin.getPassengerCount()} | Destination Dock: ${this.game.dockDestination.getPassengerCount()} | </p>`;
+  }
+
+  /**
+   * @param {Dock} dock - Dock to render
+   * @param {HTMLElement} container - Container element
+   */
+  renderDock(dock, container) {
+    container.innerHTML = '';
+    dock.getPassengers().forEach((avatar) => {
+      const avatarEl = this.createAvatarElement(avatar);
+      container.appendChild(avatarEl);
+    });
+  }
+
+  /**
+   * @description Shows a limited dock's load as "current/limit"
+   * @param {Dock} dock - Dock to describe
+   * @param {HTMLElement} labelEl - Its label
+   */
+  renderDockLabel(dock, labelEl) {
+    labelEl.hidden = !(dock.location in this.game.config.dockCapacities);
+    labelEl.textContent = `Room: ${dock.getLoad()}/${dock.maxCapacity}`;
+    labelEl.classList.toggle('full', dock.isFull());
+  }
+
+  /**
+   * @description Renders a boat with passengers, marking it if selected
+   * @param {Boat} boat - Boat to render
+   * @param {Object} elements - Its entry in boatElements
+   */
+  renderBoat(boat, { container, boat: boatEl }) {
+    boatEl.classList.toggle(
+      'selected',
+      this.game.boats.length > 1 && boat === this.game.boat
+    );
+
+    // Clear boat content except emoji
+    boatEl.innerHTML = '<span style="color: white; font-size: 24px;">🛶</span>';
+
+    // Add passengers, marking whoever rows
+    const rower = boat.getRower();
+    boat.getPassengers().forEach((avatar) => {
+      const avatarEl = this.createAvatarElement(avatar, true);
+      avatarEl.classList.toggle('rower', avatar === rower);
+      boatEl.appendChild(avatarEl);
+    });
+
+    // Move boat next to its dock: on the river to the right of it, or to
+    // the left of the destination. A sailing boat stays where it left.
+    const shores = this.game.config.getShores();
+    const index = shores.indexOf(boat.location);
+    if (index === -1) return;
+
+    const last = shores.length - 1;
+    const stretch = this.riverElements[Math.min(index, last - 1)];
+    if (container.parentElement !== stretch) {
+      stretch.appendChild(container);
+    }
+    container.style.alignSelf = index < last ? 'flex-start' : 'flex-end';
+  }
+
+  /**
+   * @description Points a boat's row buttons the way they go once there are
+   * islands. The back button only shows where the boat can row both ways.
+   * @param {Boat} boat - Boat the buttons row
+   * @param {Object} elements - Its entry in boatElements
+   */
+  renderRowButtons(boat, { actionBtn, backBtn }) {
+    const { config } = this.game;
+    const targets = this.game.getVoyageTargets(boat);
+    if (targets.length === 0) return;
+    backBtn.hidden = targets.length < 2;
+
+    if (config.islands === 0) {
+      actionBtn.textContent = 'ROW!!!';
+      return;
+    }
+    const shores = config.getShores();
+    const downstream =
+      shores.indexOf(targets[0]) > shores.indexOf(boat.location);
+    actionBtn.textContent = downstream ? 'ROW ▶' : '◀ ROW';
+  }
+
+  /**
+   * @description Shows a boat's load as "current/limit" and who may row,
+   * numbering the boats when there are several
+   * @param {Boat} boat - Boat to describe
+   * @param {HTMLElement} labelEl - Its label
+   */
+  renderBoatLabel(boat, labelEl) {
+    const { boats, rowingRule } = this.game;
+    const name =
+      boat.capacityMode === CapacityMode.WEIGHT ? 'Weight' : 'Capacity';
+    let label = `${name}: ${boat.getLoad()}/${boat.maxCapacity}`;
+    if (boats.length > 1) {
+      label = `Boat ${boats.indexOf(boat) + 1} · ${label}`;
+    }
+    if (rowingRule.type !== RowerType.ANYONE) {
+      label += ` | ${rowingRule.describe()}`;
+    }
+    labelEl.textContent = label;
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to create element for
+   * @param {boolean} isOnBoat - Whether avatar is on boat
+   * @returns {HTMLElement} Avatar DOM element
+   */
+  createAvatarElement(avatar, isOnBoat = false) {
+    const species = this.game.puzzle.getSpecies(avatar.getType());
+    const div = document.createElement('div');
+    div.className = `avatar ${avatar.getType()}`;
+    div.dataset.avatarId = avatar.getId();
+    div.title = avatar.getId();
+    if (species.badge) {
+      div.dataset.badge = species.badge;
+    }
+    if (species.color) {
+      div.style.setProperty('--species-color', species.color);
+    }
+    // Only worth pointing out when not everyone may row
+    if (
+      this.game.rowingRule.type !== RowerType.ANYONE &&
+      this.game.rowingRule.canRow(avatar)
+    ) {
+      div.classList.add('can-row');
+    }
+
+    /*
+    TODO: fix gif
+
+    // Try to load image, fallback to emoji
+    const img = document.createElement('img');
+    img.src = species.getSpriteUrl(Mood.IDLE);
+    img.alt = species.name;
+    img.onerror = () => {
+      // Fallback to emoji
+      div.innerHTML = species.getEmoji(Mood.IDLE);
+    };
+    div.appendChild(img);
+    */
+
+    div.innerHTML = species.getEmoji(Mood.IDLE);
+    if (this.game.capacityMode === CapacityMode.WEIGHT) {
+      const weightEl = document.createElement('span');
+      weightEl.className = 'avatar-tag avatar-weight';
+      weightEl.textContent = avatar.getWeight();
+      div.appendChild(weightEl);
+    }
+    if (this.game.timed) {
+      const timeEl = document.createElement('span');
+      timeEl.className = 'avatar-tag avatar-time';
+      timeEl.textContent = `⏱${avatar.getCrossingTime()}`;
+      div.appendChild(timeEl);
+    }
+
+    // Add click handler
+    if (!isOnBoat || avatar.getLocation() !== Location.RIVER) {
+      div.addEventListener('click', () => {
+        if (this.canInteract()) {
+          this.game.handleAvatarClick(avatar);
+        }
+      });
+    }
+
+    return div;
+  }
+
+  /**
+   * @param {string} message - Message to display
+   * @param {string} type - Message type (info/win/lose)
+   */
+  showMessage(message, type = 'info') {
+    const msgBox = this.elements.messageBox;
+    const overlay = this.elements.overlay;
+
+    msgBox.textContent = message;
+    msgBox.className = `message-box show ${type}`;
+    overlay.classList.add('show');
+
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(() => {
+      msgBox.classList.remove('show');
+      overlay.classList.remove('show');
+    }, 2000);
+  }
+
+  /**
+   * @param {{action: string, avatars: Array<Avatar>, to: string, boat:
+   * Boat}} move - Move to highlight
+   */
+  showHint(move) {
+    const { boat, actionBtn, backBtn } = this.getBoatElements(move.boat);
+    if (move.action === 'select') {
+      boat.classList.add('hint');
+      return;
+    }
+    if (move.action === 'row') {
+      const [onward] = this.game.getVoyageTargets(move.boat);
+      const button = move.to === onward ? actionBtn : backBtn;
+      button.classList.add('hint');
+      return;
+    }
+
+    move.avatars.forEach((avatar) => {
+      const el = this.getAvatarElement(avatar);
+      if (el) el.classList.add('hint');
+    });
+  }
+
+  /**
+   * @param {number} depth - Number of moves to undo
+   * @returns {boolean} True if the player agreed to undo
+   */
+  confirmUndo(depth) {
+    return confirm(
+      `This position can't be won. Undo ${depth} move${
+        depth === 1 ? '' : 's'
+      } back to one that can?`
+    );
+  }
+
+  /**
+   * @param {number} crossingTime - Game time the voyage takes
+   * @returns {number} Animation length in ms. In a timed game the slowest
+   * avatar takes voyageDuration and faster voyages are scaled down from it.
+   */
+  getVoyageDuration(crossingTime) {
+    if (!this.game.timed) return this.voyageDuration;
+
+    const slowest = Math.max(
+      ...this.game.avatars.map((avatar) => avatar.getCrossingTime())
+    );
+    return Math.max(
+      this.voyageDuration / 4,
+      (this.voyageDuration * crossingTime) / slowest
+    );
+  }
+
+  /**
+   * @param {boolean} isAnimating - True while an animation plays, which
+   * blocks clicks and shows the skip button
+   */
+  setAnimating(isAnimating) {
+    this.isAnimating = isAnimating;
+    if (this.elements.skipBtn) this.elements.skipBtn.hidden = !isAnimating;
+  }
+
+  /**
+   * @param {Function} callback - Function to call after animation, unless
+   * the view is destroyed first
+   * @param {number} crossingTime - Game time the voyage takes
+   * @param {Boat} boat - Boat that sails
+   * @returns {Promise<void>} Settles once the boat has landed
+   */
+  async playVoyageAnimation(callback, crossingTime, boat) {
+    const boatEl = this.getBoatElements(boat).boat;
+    this.setAnimating(true);
+
+    const landed = await this.timeline.play([
+      {
+        name: 'sail',
+        duration: this.getVoyageDuration(crossingTime),
+        run: (duration) => {
+          boatEl.style.animationDuration = `${duration}ms`;
+          boatEl.classList.add('sailing');
+          this.render();
+        },
+      },
+    ]);
+    if (!landed) return;
+
+    boatEl.classList.remove('sailing');
+    boatEl.style.animationDuration = '';
+    this.setAnimating(false);
+    callback();
+  }
+
+  /**
+   * @description Plays the feast in three phases of equal length: the prey
+   * horrified, the predators pouncing, then only skulls left
+   * @param {Array<Avatar>} predatorList - Avatars doing the eating
+   * @param {Array<Avatar>} preyList - Avatars being eaten
+   * @returns {Promise<void>} Settles once the loss message shows
+   */
+  async playFeastAnimation(predatorList, preyList) {
+    this.setAnimating(true);
+
+    // Assign targets
+    const targets = new Map();
+    let preyIndex = 0;
+    predatorList.forEach((predator, i) => {
+      targets.set(predator.getId(), preyList[preyIndex].getId());
+      preyIndex = (preyIndex + 1) % preyList.length;
+    });
+
+    // TODO: refactor
+    this.elements.stats.textContent = `${
+      this.game.puzzle.loseMessage
+    }\n ${this.getScoreText()}`;
+
+    const phaseDuration = this.animationDuration / 3;
+    const horrified = () => {
+      preyList.forEach((prey) => {
+        this.updateAvatarImage(prey, Mood.HORRIFIED);
+        const el = this.getAvatarElement(prey);
+        if (el) el.classList.add('vibrate');
+      });
+      predatorList.forEach((predator) => {
+        this.updateAvatarImage(predator, Mood.HAPPY);
+      });
+    };
+    const pounce = (duration) => {
+      predatorList.forEach((predator, index) => {
+        const targetId = targets.get(predator.getId());
+        const predatorEl = this.getAvatarElement(predator);
+        const targetEl = this.root.querySelector(
+          `[data-avatar-id="${targetId}"]`
+        );
+
+        if (predatorEl && targetEl) {
+          const targetRect = targetEl.getBoundingClientRect();
+          const predatorRect = predatorEl.getBoundingClientRect();
+
+          // Add offset to prevent complete overlap
+          const offsetX = index * 15;
+          const offsetY = index * 10;
+
+          const deltaX = targetRect.left - predatorRect.left + offsetX;
+          const deltaY = targetRect.top - predatorRect.top + offsetY;
+
+          predatorEl.style.transition = `transform ${duration}ms ease-in-out`;
+          predatorEl.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
+          predatorEl.style.zIndex = 100 + index;
+        }
+      });
+      this.updateAvatarImages(predatorList, Mood.FEAST);
+      this.updateAvatarImages(preyList, Mood.DECEASED);
+    };
+    const satisfied = () => {
+      this.updateAvatarImages(predatorList, Mood.SATISFIED);
+      this.updateAvatarImages(preyList, Mood.SKULL);
+    };
+
+    const finished = await this.timeline.play([
+      { name: 'horrified', duration: phaseDuration, run: horrified },
+      { name: 'pounce', duration: phaseDuration, run: pounce },
+      { name: 'satisfied', duration: phaseDuration, run: satisfied },
+    ]);
+    if (!finished) return;
+
+    this.setAnimating(false);
+    this.showMessage(
+      `${this.game.puzzle.loseMessage}\n ${this.getScoreText()}`,
+      'lose'
+    );
+  }
+
+  /**
+   * @description Plays the loss of a game that ran over its river time
+   * budget or its countdown
+   */
+  playTimeoutAnimation() {
+    const message = `⌛ Game Over! Out of time!\n ${this.getScoreText()}`;
+    this.showMessage(message, 'lose');
+    this.elements.stats.textContent = message;
+  }
+
+  /**
+   * @returns {string} Trips, river time (timed games only), time on the
+   * clock and hints used
+   */
+  getScoreText() {
+    let score = `Boat trips: ${this.game.tripCount}`;
+    if (this.game.timed) {
+      score += ` | River time: ${this.game.riverTime}`;
+    }
+    score += ` | Time: ${this.getElapsedTime()}`;
+    return `${score} | Hints used: ${this.game.hintsUsed}`;
+  }
+
+  /**
+   * @description Plays win animation
+   */
+  playWinAnimation() {
+    this.showMessage(
+      `${this.game.puzzle.winMessage}\n ${this.getScoreText()}`,
+      'win'
+    );
+
+    // TODO: optimize this view render.
+    this.elements.stats.textContent = `${
+      this.game.puzzle.winMessage
+    }\n ${this.getScoreText()}`;
+  }
+
+  /**
+   * @param {Avatar} avatar - Avatar to update
+   * @param {string} mood - Mood value to show
+   */
+  updateAvatarImage(avatar, mood) {
+    const el = this.getAvatarElement(avatar);
+    if (!el) return;
+
+    const species = this.game.puzzle.getSpecies(avatar.getType());
+    const emojiFallback = species.getEmoji(mood);
+    const img = el.querySelector('img');
+    const spriteUrl = species.getSpriteUrl(mood);
+    // Keep the weight and time tags, swap the face
+    const tags = el.querySelectorAll('.avatar-tag');
+    const showEmoji = () => el.replaceChildren(emojiFallback, ...tags);
+    if (img && spriteUrl) {
+      img.src = spriteUrl;
+      img.onerror = showEmoji;
+    } else {
+      showEmoji();
+    }
+  }
+
+  /**
+   * @param {Array<Avatar>} avatars - Avatars to update
+   * @param {string} mood - Mood value to show
+   */
+  updateAvatarImages(avatars, mood) {
+    avatars.forEach((avatar) => {
+      this.updateAvatarImage(avatar, mood);
+    });
+  }
+
+  /**
+   * @description Disables user interactions
+   */
+  disableInteractions() {
+    this.setAnimating(true);
+  }
+
+  /**
+   * @description Enables user interactions
+   */
+  enableInteractions() {
+    this.setAnimating(false);
+  }
+}
@@ -0,0 +1,147 @@
+/* ===========================
+LOCAL RESULT VERIFICATION SERVER
+
+  MNM_RESULT_KEY=<secret> node server/verify-server.js [port]
+
+Replays results before a leaderboard accepts an entry, and signs the ones
+the moves back. Submit a game from the exported history (📊 Stats → Export
+JSON); only its transcript, outcome and trips are checked and signed.
+
+  POST /sign     {"transcript": "...", "outcome": "won", "trips": 11}
+  200            {"valid": true, "reason": null, "token": "<token>"}
+
+  POST /verify   {"token": "<token>"}
+  200            {"valid": true, "reason": null, "result": {...}}
+
+Results the moves don't back get 422 {"valid": false, "reason": "..."},
+and tokens that can't be read 400.
+The key never leaves the server, so keep it secret: whoever has it can sign
+anything. Needs Node 20.19+ to load the game's modules.
+=========================== */
+
+import { createServer } from 'node:http';
+import { ResultVerifier } from '../js/models/ResultVerifier.js';
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8787);
+const MAX_BODY_BYTES = 256 * 1024; // Ample for the longest transcript
+// A token is the result in base64, a third larger, plus its signature
+const MAX_TOKEN_BODY_BYTES = Math.ceil((MAX_BODY_BYTES * 4) / 3) + 1024;
+
+// The game is opened from its own origin or a file
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+if (!process.env.MNM_RESULT_KEY) {
+  console.error('Set MNM_RESULT_KEY to the secret results are signed with');
+  process.exit(1);
+}
+const verifier = new ResultVerifier(process.env.MNM_RESULT_KEY);
+
+/**
+ * @param {http.ServerResponse} response - Response to send
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Sent as JSON
+ */
+function sendJSON(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...CORS_HEADERS,
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * @param {http.IncomingMessage} request - Request to read
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<string>} Its body
+ * @throws {RangeError} If the body is larger than maxBytes
+ */
+async function readBody(request, maxBytes) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > maxBytes) {
+      throw new RangeError('Request body too large');
+    }
+  }
+  return body;
+}
+
+/**
+ * @param {Object} body - Result submitted, e.g. an exported history entry
+ * @returns {Promise<[number, Object]>} Status and body to answer with
+ */
+async function signResult(body) {
+  if (typeof body.transcript !== 'string') {
+    return [400, { valid: false, reason: 'Missing "transcript"' }];
+  }
+  const verdict = await verifier.sign(body);
+  return [verdict.valid ? 200 : 422, verdict];
+}
+
+/**
+ * @param {Object} body - Request naming the token to check
+ * @returns {Promise<[number, Object]>} Status and body to answer with
+ */
+async function checkToken({ token }) {
+  if (typeof token !== 'string') {
+    return [400, { valid: false, reason: 'Missing "token"' }];
+  }
+  const verdict = await verifier.check(token);
+  if (verdict.malformed) {
+    return [400, verdict];
+  }
+  return [verdict.valid ? 200 : 422, verdict];
+}
+
+// Handler of each path, and the largest body it reads
+const ROUTES = new Map([
+  ['/sign', { handle: signResult, maxBytes: MAX_BODY_BYTES }],
+  ['/verify', { handle: checkToken, maxBytes: MAX_TOKEN_BODY_BYTES }],
+]);
+
+/**
+ * @param {http.IncomingMessage} request - Request received
+ * @param {http.ServerResponse} response - Response to send
+ */
+async function handleRequest(request, response) {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+  const route = ROUTES.get(request.url);
+  if (!route) {
+    sendJSON(response, 404, { valid: false, reason: 'Not found' });
+    return;
+  }
+  if (request.method !== 'POST') {
+    sendJSON(response, 405, { valid: false, reason: 'Use POST' });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(request, route.maxBytes));
+  } catch (error) {
+    const status = error instanceof RangeError ? 413 : 400;
+    sendJSON(response, status, { valid: false, reason: error.message });
+    return;
+  }
+  if (typeof body !== 'object' || body === null) {
+    sendJSON(response, 400, { valid: false, reason: 'Expected an object' });
+    return;
+  }
+
+  sendJSON(response, ...(await route.handle(body)));
+}
+
+createServer((request, response) => {
+  handleRequest(request, response).catch((error) => {
+    console.error('Could not verify result:', error);
+    sendJSON(response, 500, { valid: false, reason: 'Verification failed' });
+  });
+}).listen(PORT, () => {
+  console.log(`Signing and verifying results on http://localhost:${PORT}`);
+});